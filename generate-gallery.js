@@ -2,1142 +2,6126 @@
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const os = require('os');
-const { execSync } = require('child_process');
-const { program } = require('commander');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const exifReader = require('exif-reader');
+const { EventEmitter } = require('events');
+const { Command, Option, InvalidArgumentError } = require('commander');
 
-// Parse command line arguments
-program
-  .name('generate-gallery')
-  .description('Generate a static HTML gallery from images and videos')
-  .option('-i, --input <dir>', 'Source directory to scan for media', process.cwd())
-  .option('-o, --output <dir>', 'Output directory for gallery files (defaults to input directory)')
-  .option('-t, --title <text>', 'Gallery title', 'Gallery')
-  .parse();
+/**
+ * Parse a Hamming distance (0-64 bits) for --similarity
+ */
+function parseHammingDistance(value) {
+  const bits = Number(value);
+  if (!Number.isInteger(bits) || bits < 0 || bits > 64) {
+    throw new InvalidArgumentError('Must be an integer between 0 and 64.');
+  }
+  return bits;
+}
 
-const options = program.opts();
+/**
+ * Build a parser for an integer setting between min and max
+ */
+function parseIntegerBetween(min, max) {
+  return value => {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > max) {
+      throw new InvalidArgumentError(`Must be an integer between ${min} and ${max}.`);
+    }
+    return number;
+  };
+}
 
-// Resolve input and output directories
-const INPUT_DIR = path.resolve(options.input);
-const OUTPUT_DIR = path.resolve(options.output || options.input);
+/**
+ * Parse a list of file extensions ("jpg,.png" or an array), normalized to lowercase with a leading dot
+ */
+function parseExtensions(value) {
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  const extensions = list
+    .map(ext => String(ext).trim().toLowerCase())
+    .filter(Boolean)
+    .map(ext => (ext.startsWith('.') ? ext : '.' + ext));
+  if (extensions.length === 0) {
+    throw new InvalidArgumentError('Must list at least one extension.');
+  }
+  return [...new Set(extensions)];
+}
 
-// Configuration
-const IMAGES_PER_PAGE = 15;
-const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.bmp'];
-const VIDEO_EXTENSIONS = ['.mp4', '.webm'];
-const MEDIA_EXTENSIONS = [...IMAGE_EXTENSIONS, ...VIDEO_EXTENSIONS];
-const GALLERY_DATA_DIR = path.join(OUTPUT_DIR, '.gallery-data');
-const OUTPUT_DATA_FILE = path.join(GALLERY_DATA_DIR, 'images-data.js');
-const OUTPUT_HTML_FILE = path.join(OUTPUT_DIR, 'gallery.html');
-const THUMBNAILS_DIR = path.join(GALLERY_DATA_DIR, 'thumbnails');
+/**
+ * Parse the widths of the lightbox renditions ("1280,2048" or an array; "none" or [] for no renditions)
+ */
+function parsePreviewSizes(value) {
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  if (list.length === 1 && String(list[0]).trim().toLowerCase() === 'none') return [];
+  const sizes = list.filter(size => String(size).trim() !== '').map(parseIntegerBetween(320, 8192));
+  return [...new Set(sizes)].sort((a, b) => a - b);
+}
 
-// Calculate relative path from gallery.html to media files
-const MEDIA_BASE_PATH = path.relative(OUTPUT_DIR, INPUT_DIR) || '.';
-const THUMBNAIL_SIZE = 300;
-const CONCURRENT_THUMBNAILS = 8;
-const VIDEO_THUMBNAIL_FPS = 15;          // Playback FPS for animated thumbnail
+/**
+ * Build a parser accepting one of a fixed set of values
+ */
+function parseChoice(choices) {
+  return value => {
+    const choice = String(value).toLowerCase();
+    if (!choices.includes(choice)) {
+      throw new InvalidArgumentError(`Must be one of ${choices.join(', ')}.`);
+    }
+    return choice;
+  };
+}
 
-console.log(`Scanning for media in: ${INPUT_DIR}`);
-if (OUTPUT_DIR !== INPUT_DIR) {
-  console.log(`Output directory: ${OUTPUT_DIR}`);
+/**
+ * Parse the viewer's S/M/L base sizes ("130,200,300" or { S, M, L })
+ */
+function parseSizePresets(value) {
+  const sizes = value && typeof value === 'object' && !Array.isArray(value)
+    ? [value.S, value.M, value.L]
+    : String(value).split(',');
+  if (sizes.length !== 3) {
+    throw new InvalidArgumentError('Must be three sizes (S,M,L).');
+  }
+  const [S, M, L] = sizes.map(parseIntegerBetween(50, 1000));
+  return { S, M, L };
 }
 
-// Track seen file sizes for deduplication
-const seenSizes = new Set();
-let duplicatesSkipped = 0;
+// Settings read from gallery.config.json/.js and the command line (CLI > config file > default)
+const CONFIG_SETTINGS = {
+  thumbnailSize: { flag: '--thumbnail-size <px>', description: 'Thumbnail width and height', parse: parseIntegerBetween(32, 1024), default: 300 },
+  concurrency: { flag: '--concurrency <n>', description: 'Thumbnails generated in parallel', parse: parseIntegerBetween(1, 64), default: 8 },
+  videoFps: { flag: '--video-fps <fps>', description: 'Playback FPS of animated video thumbnails', parse: parseIntegerBetween(1, 60), default: 15 },
+  jpegQuality: { flag: '--jpeg-quality <q>', description: 'Quality (1-100) of JPEG thumbnails', parse: parseIntegerBetween(1, 100), default: 80 },
+  pngQuality: { flag: '--png-quality <q>', description: 'Quality (1-100) of PNG thumbnails', parse: parseIntegerBetween(1, 100), default: 80 },
+  webpQuality: { flag: '--webp-quality <q>', description: 'Quality (1-100) of animated GIF thumbnails', parse: parseIntegerBetween(1, 100), default: 75 },
+  videoQuality: { flag: '--video-quality <q>', description: 'Quality (1-100) of animated video thumbnails', parse: parseIntegerBetween(1, 100), default: 75 },
+  imageExtensions: { flag: '--image-extensions <list>', description: 'Comma-separated image extensions', parse: parseExtensions, default: ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.bmp', '.avif', '.heic', '.heif', '.tif', '.tiff', '.svg', '.cr2', '.cr3', '.nef', '.arw', '.dng'] },
+  videoExtensions: { flag: '--video-extensions <list>', description: 'Comma-separated video extensions', parse: parseExtensions, default: ['.mp4', '.webm', '.mov', '.mkv', '.avi', '.m4v', '.3gp', '.mts'] },
+  sizePresets: { flag: '--size-presets <S,M,L>', description: 'Base thumbnail sizes of the viewer\'s S/M/L presets', parse: parseSizePresets, default: { S: 130, M: 200, L: 300 } },
+  previewSizes: { flag: '--preview-sizes <list>', description: 'Widths of the lightbox renditions of images ("none" to show originals)', parse: parsePreviewSizes, default: [1280, 2048, 3840] },
+  previewFormat: { flag: '--preview-format <format>', description: 'Format of lightbox renditions (webp or jpeg)', parse: parseChoice(['webp', 'jpeg']), default: 'webp' },
+  previewQuality: { flag: '--preview-quality <q>', description: 'Quality (1-100) of lightbox renditions', parse: parseIntegerBetween(1, 100), default: 80 },
+  videoProxies: { flag: '--video-proxies <codec>', description: 'Transcode videos browsers can\'t play for the lightbox (off, h264 or vp9)', parse: parseChoice(['off', 'h264', 'vp9']), default: 'off' },
+  slideshowInterval: { flag: '--slideshow-interval <s>', description: 'Seconds each image is shown in the slideshow', parse: parseIntegerBetween(1, 3600), default: 5 },
+  slideshowVideoLimit: { flag: '--slideshow-video-limit <s>', description: 'Seconds a video plays in the slideshow (0 plays it to the end)', parse: parseIntegerBetween(0, 86400), default: 0 }
+};
+const DEFAULT_CONFIG = Object.fromEntries(Object.entries(CONFIG_SETTINGS).map(([key, setting]) => [key, setting.default]));
+const CONFIG_FILE_NAMES = ['gallery.config.json', 'gallery.config.js'];
 
 /**
- * Recursively find all media files (images and videos) in a directory
+ * Load the config file: --config, else the first gallery.config.json/.js in the input, then the output directory
  */
-function findMedia(dir, media = []) {
-  let entries;
+function loadConfigFile(inputDir, outputDir, explicitPath) {
+  const candidates = explicitPath
+    ? [path.resolve(explicitPath)]
+    : [inputDir, outputDir].flatMap(dir => CONFIG_FILE_NAMES.map(name => path.join(dir, name)));
+  const configPath = candidates.find(candidate => fs.existsSync(candidate));
+  if (!configPath) {
+    if (explicitPath) throw new Error(`Config file not found: ${explicitPath}`);
+    return { configPath: null, values: {} };
+  }
+
+  let values;
   try {
-    entries = fs.readdirSync(dir, { withFileTypes: true });
+    values = configPath.endsWith('.js') ? require(configPath) : JSON.parse(fs.readFileSync(configPath, 'utf8'));
   } catch (err) {
-    console.warn(`Warning: Could not read directory ${dir}: ${err.message}`);
-    return media;
+    throw new Error(`Could not load ${configPath}: ${err.message}`);
   }
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    throw new Error(`${configPath} must contain an object of settings`);
+  }
+  return { configPath, values };
+}
 
-  for (const entry of entries) {
-    const fullPath = path.join(dir, entry.name);
-
-    // Skip output files and gallery data directory
-    if (entry.name === 'gallery.html' || entry.name === '.gallery-data') {
-      continue;
+/**
+ * Resolve every setting: command line, then config file, then default
+ */
+function resolveConfig(options, inputDir, outputDir) {
+  const { configPath, values } = loadConfigFile(inputDir, outputDir, options.config);
+  const config = { ...DEFAULT_CONFIG };
+
+  for (const [key, value] of Object.entries(values)) {
+    const setting = CONFIG_SETTINGS[key];
+    if (!setting) {
+      throw new Error(`${configPath}: unknown setting "${key}" (known: ${Object.keys(CONFIG_SETTINGS).join(', ')})`);
     }
-
-    if (entry.isDirectory()) {
-      findMedia(fullPath, media);
-    } else if (entry.isFile()) {
-      const ext = path.extname(entry.name).toLowerCase();
-      if (MEDIA_EXTENSIONS.includes(ext)) {
-        try {
-          const stats = fs.statSync(fullPath);
-
-          // Skip duplicates (same file size = likely duplicate)
-          if (seenSizes.has(stats.size)) {
-            duplicatesSkipped++;
-            continue;
-          }
-          seenSizes.add(stats.size);
-
-          const relativePath = path.relative(INPUT_DIR, fullPath);
-          const isVideo = VIDEO_EXTENSIONS.includes(ext);
-          media.push({
-            path: relativePath,
-            size: stats.size,
-            type: isVideo ? 'video' : 'image'
-          });
-        } catch (err) {
-          console.warn(`Warning: Could not read ${fullPath}: ${err.message}`);
-        }
-      }
+    try {
+      config[key] = setting.parse(value);
+    } catch (err) {
+      throw new Error(`${configPath}: invalid "${key}": ${err.message}`);
     }
   }
 
-  return media;
+  // Option values come from the command line (already parsed, parsing again is harmless) or the API
+  for (const [key, setting] of Object.entries(CONFIG_SETTINGS)) {
+    if (options[key] !== undefined) config[key] = parseOption(key, options[key], setting.parse);
+  }
+
+  const shared = config.imageExtensions.filter(ext => config.videoExtensions.includes(ext));
+  if (shared.length > 0) {
+    throw new Error(`Extensions listed as both image and video: ${shared.join(', ')}`);
+  }
+  return { config, configPath };
 }
 
+// Defaults of the options that aren't settings of the config file
+const DEFAULT_OPTIONS = {
+  title: 'Gallery',
+  duplicates: 'skip',
+  similarity: 6,
+  sort: 'size'
+};
+const OPTION_CHOICES = {
+  duplicates: ['skip', 'keep', 'group'],
+  sort: ['name', 'path', 'size', 'mtime', 'taken', 'type', 'random'],
+  order: ['asc', 'desc'],
+  export: ['copy', 'hardlink', 'reflink']
+};
+
+// Configuration
+const IMAGES_PER_PAGE = 15;
+const IGNORE_FILE_NAME = '.galleryignore';
+const MANIFEST_VERSION = 1;
+const METADATA_VERSION = 2;              // Cached metadata of other versions is read again
+const MAX_STDERR_LENGTH = 2000;          // Characters of tool output kept per failure
+const BROWSER_IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.bmp', '.avif'];  // Shown as-is in the lightbox
+const FFMPEG_IMAGE_EXTENSIONS = ['.heic', '.heif', '.avif', '.tif', '.tiff'];  // Decoded with ffmpeg when sharp can't
+const CONVERTED_PREVIEW_WIDTH = 2048;    // Rendition width of converted images without previewSizes or a known width
+const MAX_SVG_BYTES = 10 * 1024 * 1024;  // Larger SVGs are not rasterised
+const RAW_IMAGE_EXTENSIONS = ['.cr2', '.cr3', '.nef', '.arw', '.dng'];  // Camera RAW, shown through the embedded JPEG
+const RAW_HEADER_BYTES = 1024 * 1024;    // Bytes read from the start of a TIFF-based RAW file for its EXIF
+const MAX_RAW_BOX_BYTES = 64 * 1024 * 1024;  // Larger CR3 metadata and preview boxes are not read
+const CR3_PREVIEW_UUID = 'eaf42b5e1c984b88b9fbb7dc406e4d16';
+const CR3_METADATA_UUID = '85c0b687820f11e08111f4ce462b6a48';
+const SIMILAR_MAX_BANDS = 8;             // Hash bands indexed by findSimilarGroups (bands of at least 8 bits)
+const SIMILAR_MIN_HASH_BITS = 4;         // Hashes with fewer set bits (flat or smooth images) are never grouped
+const FLAT_IMAGE_MAX_RANGE = 8;          // Grey levels; hash samples closer than this are a flat image (hash 0)
+const VIDEO_SAMPLE_FPS = 30;             // Rate at which consecutive frames are sampled from each segment
+const VIDEO_THUMBNAIL_TIMEOUT = 120000;   // ms for an animated video thumbnail, plus VIDEO_THUMBNAIL_TIMEOUT_PER_SECOND
+const VIDEO_THUMBNAIL_TIMEOUT_PER_SECOND = 250;  // ms per second of video (seeking gets slower in long files)
+const FFMPEG_ENCODE_ERROR = /\[(libwebp|libwebp_anim|webp) @|output stream|encoder|encoding failed|write header|writing trailer|Error writing/i;  // In ffmpeg's error output: encoding failed
+const SHARP_ENCODE_ERROR = /for write|write error|too large for the \w+ format|save\w*:/i;  // In libvips errors: encoding failed
+const BROWSER_VIDEO_CONTAINERS = ['.mp4', '.m4v', '.webm'];  // Played as-is in the lightbox when the codecs are too
+const BROWSER_VIDEO_CODECS = ['h264', 'vp8', 'vp9', 'av1'];
+const BROWSER_AUDIO_CODECS = ['aac', 'mp3', 'opus', 'vorbis', 'flac'];
+const PROXY_MAX_SIZE = 1920;             // Longest side of video proxies (unless the video stream is copied)
+const PROXY_COPY_CODECS = {               // Streams each proxy format takes as they are, without transcoding
+  h264: { video: ['h264', 'vp9', 'av1'], audio: ['aac', 'mp3', 'opus', 'flac'] },
+  vp9: { video: ['vp8', 'vp9', 'av1'], audio: ['opus', 'vorbis'] }
+};
+const POSTER_WIDTH = 640;                // Width of the still poster frames of videos
+const WATCH_DEBOUNCE_MS = 500;           // Quiet period before a batch of file changes is applied
+// ctx.paths entries only the generator reads (state, caches, reports); kept outside an --export output directory
+const STATE_PATHS = ['manifest', 'metadataCache', 'phashCache', 'failures', 'duplicatesReport', 'resolvedConfig', 'exportRecord'];
+
+const execFileAsync = promisify(execFile);
+
+// Sorting (keys sorted largest/newest first unless --order is given)
+const DESCENDING_SORT_KEYS = ['size', 'mtime', 'taken'];
+
 /**
- * Format bytes to human readable string
+ * Run an option value through its parser, naming the option in the error
  */
-function formatBytes(bytes) {
-  if (bytes === 0) return '0 B';
-  const k = 1024;
-  const sizes = ['B', 'KB', 'MB', 'GB'];
-  const i = Math.floor(Math.log(bytes) / Math.log(k));
-  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+function parseOption(name, value, parse) {
+  try {
+    return parse(value);
+  } catch (err) {
+    throw new Error(`Invalid ${name} "${value}": ${err.message}`);
+  }
 }
 
 /**
- * Hash a string to a 16-character hex string (64-bit)
- * Uses two djb2 hashes combined for better distribution
+ * Whether a directory is another one or inside it
  */
-function hashPath(str) {
-  let h1 = 5381, h2 = 52711;
-  for (let i = 0; i < str.length; i++) {
-    const c = str.charCodeAt(i);
-    h1 = ((h1 << 5) + h1) ^ c;
-    h2 = ((h2 << 5) + h2) ^ c;
-  }
-  return (h1 >>> 0).toString(16).padStart(8, '0') +
-         (h2 >>> 0).toString(16).padStart(8, '0');
+function isSameOrInside(dir, parent) {
+  const relative = path.relative(parent, dir);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
 }
 
 /**
- * Get thumbnail path for a media file (hash-based with nested directories)
+ * Resolve the options of one gallery into the context every step works with: directories,
+ * settings, output paths, scan rules and the emitter that log and progress events go to.
+ * All state of a run lives here, so several galleries can be generated in one process.
  */
-function getThumbnailPath(mediaPath, mediaType) {
-  const ext = path.extname(mediaPath).toLowerCase();
-  // Videos and GIFs get animated WebP thumbnails
-  const thumbExt = (mediaType === 'video' || ext === '.gif') ? '.webp' : (ext === '.png' ? '.png' : '.jpg');
-  const hash = hashPath(mediaPath);
-  // Structure: thumbnails/{hash[0]}/{hash[1]}/{hash}.{ext}
-  return path.join(THUMBNAILS_DIR, hash[0], hash[1], hash + thumbExt);
+function createContext(options = {}) {
+  options = { ...DEFAULT_OPTIONS, ...options };
+  for (const [key, choices] of Object.entries(OPTION_CHOICES)) {
+    if (options[key] !== undefined && !choices.includes(options[key])) {
+      throw new Error(`Invalid ${key} "${options[key]}" (choices: ${choices.join(', ')})`);
+    }
+  }
+  options.similarity = parseOption('similarity', options.similarity, parseHammingDistance);
+  if (options.maxDepth !== undefined) {
+    options.maxDepth = parseOption('maxDepth', options.maxDepth, parseIntegerBetween(0, 1000));
+  }
+
+  // Resolve input and output directories
+  const inputDir = path.resolve(options.input || process.cwd());
+  const outputDir = path.resolve(options.output || inputDir);
+  const { config, configPath } = resolveConfig(options, inputDir, outputDir);
+  const dataDir = path.join(outputDir, '.gallery-data');
+  const exportDir = path.join(outputDir, 'media');
+  // An exported output directory is deployed as is, so it only holds what gallery.html loads
+  const stateDir = options.export ? getExportStateDir(outputDir) : dataDir;
+  const events = options.events || new EventEmitter();
+  // An export owns media/: it must never contain (or be scanned as) input files
+  if (options.export && (isSameOrInside(outputDir, inputDir) || isSameOrInside(inputDir, exportDir))) {
+    throw new Error('Option export needs an output directory outside the input directory');
+  }
+  if (options.webOnly && !options.export) {
+    throw new Error('Option webOnly requires export');
+  }
+
+  return {
+    options,
+    inputDir,
+    outputDir,
+    config,
+    configPath,
+    // Relative path from gallery.html to media files (their copies in media/ when exporting)
+    mediaBasePath: options.export ? 'media' : path.relative(outputDir, inputDir) || '.',
+    mediaExtensions: [...config.imageExtensions, ...config.videoExtensions],
+    includePatterns: (options.include || []).map(compileScanPattern),
+    excludePatterns: (options.exclude || []).map(compileScanPattern),
+    // Parsed .galleryignore rules by directory (relative to the input directory)
+    ignoreRules: new Map(),
+    sortOrder: options.order || (DESCENDING_SORT_KEYS.includes(options.sort) ? 'desc' : 'asc'),
+    sortSeed: options.seed !== undefined ? String(options.seed) : Math.random().toString(36).slice(2, 10),
+    paths: {
+      dataDir,
+      dataFile: path.join(dataDir, 'images-data.js'),
+      htmlFile: path.join(outputDir, 'gallery.html'),
+      thumbnailsDir: path.join(dataDir, 'thumbnails'),
+      previewsDir: path.join(dataDir, 'previews'),
+      proxiesDir: path.join(dataDir, 'proxies'),
+      stateDir,
+      duplicatesReport: path.join(stateDir, 'duplicates.json'),
+      phashCache: path.join(stateDir, 'phashes.json'),
+      metadataCache: path.join(stateDir, 'metadata.json'),
+      manifest: path.join(stateDir, 'manifest.json'),
+      similarData: path.join(dataDir, 'similar-data.js'),
+      resolvedConfig: path.join(stateDir, 'config.json'),
+      failures: path.join(stateDir, 'failures.json'),
+      failuresData: path.join(dataDir, 'failures-data.js'),
+      exportDir,
+      exportRecord: path.join(stateDir, 'exported.json')
+    },
+    signal: options.signal,
+    events,
+    log: message => events.emit('log', message),
+    warn: message => events.emit('warning', message)
+  };
 }
 
 /**
- * Check if ffmpeg is available on the system
+ * Log where a run reads from and writes to
  */
-function checkFfmpegAvailable() {
-  try {
-    execSync('ffmpeg -version', { stdio: 'pipe' });
-    return true;
-  } catch {
-    return false;
+function logContext(ctx) {
+  ctx.log(`Scanning for media in: ${ctx.inputDir}`);
+  if (ctx.outputDir !== ctx.inputDir) {
+    ctx.log(`Output directory: ${ctx.outputDir}`);
+  }
+  if (ctx.configPath) {
+    ctx.log(`Config: ${ctx.configPath}`);
   }
 }
 
 /**
- * Get video duration using ffprobe
+ * Convert a glob to a RegExp: * and ? stay within a path segment, ** spans segments,
+ * [...] is a character class and a backslash escapes the next character
  */
-function getVideoDuration(videoPath) {
-  try {
-    const result = execSync(
-      `ffprobe -v error -show_entries format=duration -of csv=p=0 "${videoPath}"`,
-      { encoding: 'utf8', timeout: 10000 }
-    );
-    const duration = parseFloat(result.trim());
-    if (isNaN(duration) || duration <= 0) {
-      return null;
+function globToRegExp(glob, flags = '') {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === '\\' && i + 1 < glob.length) {
+      source += glob[++i].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    } else if (c === '*' && glob[i + 1] === '*') {
+      source += glob[i + 2] === '/' ? '(?:.*/)?' : '.*';
+      i += glob[i + 2] === '/' ? 2 : 1;
+    } else if (c === '*') {
+      source += '[^/]*';
+    } else if (c === '?') {
+      source += '[^/]';
+    } else if (c === '[' && glob.indexOf(']', i + 1) > i + 1) {
+      const end = glob.indexOf(']', i + 1);
+      source += '[' + glob.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\') + ']';
+      i = end;
+    } else {
+      source += c.replace(/[.+^${}()|\\\]\[/]/g, '\\$&');
     }
-    return duration;
-  } catch (err) {
-    return null;
   }
+  return new RegExp('^' + source + '$', flags);
 }
 
 /**
- * Generate animated WebP thumbnail from video using ffmpeg
- * Extracts multiple segments, each with consecutive frames, for smoother animation
- * Parameters are derived from hash for deterministic variation between videos
+ * Compile an --include/--exclude glob: globs with a slash match the whole path, others the name
  */
-async function generateVideoThumbnail(videoPath, outputPath) {
-  const duration = getVideoDuration(videoPath);
-  if (!duration) {
-    throw new Error('Could not determine video duration');
-  }
-
-  // Use hash to deterministically vary parameters per video (avoids synchronized cuts)
-  const hash = hashPath(videoPath);
-  const baseSegmentCount = parseInt(hash.slice(0, 2), 16) % 4 + 7;     // 7-10 segments
-  const framesPerSegment = parseInt(hash.slice(2, 4), 16) % 11 + 10;   // 10-20 frames per segment
-
-  // Calculate segment timestamps distributed across video (skip first/last 5% to avoid black frames)
-  const startOffset = duration * 0.05;
-  const endOffset = duration * 0.95;
-  const usableDuration = endOffset - startOffset;
-  const segmentCount = Math.min(baseSegmentCount, Math.max(1, Math.floor(duration))); // At least 1s apart
-  const interval = usableDuration / Math.max(1, segmentCount - 1);
-
-  const segmentTimestamps = [];
-  for (let i = 0; i < segmentCount; i++) {
-    segmentTimestamps.push(startOffset + (i * interval));
-  }
-
-  // Use temp directory for intermediate frames
-  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'video-thumb-'));
-
-  try {
-    let frameIndex = 0;
-
-    // Extract consecutive frames from each segment
-    for (let seg = 0; seg < segmentTimestamps.length; seg++) {
-      const timestamp = segmentTimestamps[seg];
+function compileScanPattern(glob) {
+  const pattern = glob.replace(/^\/|\/$/g, '');
+  return { glob, regex: globToRegExp(pattern, 'i'), matchPath: pattern.includes('/') };
+}
 
-      // Extract multiple consecutive frames starting at this timestamp
-      for (let f = 0; f < framesPerSegment; f++) {
-        const frameTime = timestamp + (f / 30); // Assume ~30fps source, extract frames ~1/30s apart
-        const framePath = path.join(tempDir, `frame_${frameIndex.toString().padStart(3, '0')}.png`);
+function matchesScanPattern(pattern, posixPath) {
+  return pattern.regex.test(pattern.matchPath ? posixPath : posixPath.slice(posixPath.lastIndexOf('/') + 1));
+}
 
-        execSync(
-          `ffmpeg -y -ss ${frameTime} -i "${videoPath}" -vframes 1 ` +
-          `-vf "scale=${THUMBNAIL_SIZE}:${THUMBNAIL_SIZE}:force_original_aspect_ratio=increase,crop=${THUMBNAIL_SIZE}:${THUMBNAIL_SIZE}" ` +
-          `"${framePath}"`,
-          { stdio: 'pipe', timeout: 30000 }
-        );
-        frameIndex++;
-      }
-    }
+/**
+ * Parse a .galleryignore file (gitignore syntax) into rules
+ * Patterns without a slash match names at any level below the file's directory, others are
+ * relative to it; a trailing slash matches directories only and "!" re-includes.
+ */
+function parseIgnoreFile(content, fileLabel) {
+  const rules = [];
+  content.split(/\r?\n/).forEach((line, index) => {
+    let pattern = line.replace(/(?<!\\)\s+$/, '');
+    if (!pattern || pattern.startsWith('#')) return;
+
+    const negate = pattern.startsWith('!');
+    if (negate) pattern = pattern.slice(1);
+    const directoryOnly = pattern.endsWith('/');
+    if (directoryOnly) pattern = pattern.slice(0, -1);
+    const anchored = pattern.includes('/');
+    if (pattern.startsWith('/')) pattern = pattern.slice(1);
+
+    rules.push({
+      label: `by ${fileLabel}:${index + 1} (${line.trim()})`,
+      regex: globToRegExp(pattern),
+      negate,
+      directoryOnly,
+      anchored
+    });
+  });
+  return rules;
+}
 
-    // Combine all frames into animated WebP
-    execSync(
-      `ffmpeg -y -framerate ${VIDEO_THUMBNAIL_FPS} -i "${tempDir}/frame_%03d.png" ` +
-      `-vf "scale=${THUMBNAIL_SIZE}:${THUMBNAIL_SIZE}" -loop 0 -quality 75 "${outputPath}"`,
-      { stdio: 'pipe', timeout: 60000 }
-    );
-  } finally {
-    // Cleanup temp directory
+/**
+ * Parsed .galleryignore rules of a directory (relative to the input directory), read once per run
+ */
+function getIgnoreFileRules(ctx, relativeDir) {
+  if (!ctx.ignoreRules.has(relativeDir)) {
+    let rules = [];
     try {
-      const frames = fs.readdirSync(tempDir);
-      for (const frame of frames) {
-        fs.unlinkSync(path.join(tempDir, frame));
-      }
-      fs.rmdirSync(tempDir);
+      const content = fs.readFileSync(path.join(ctx.inputDir, relativeDir, IGNORE_FILE_NAME), 'utf8');
+      rules = parseIgnoreFile(content, path.join(relativeDir, IGNORE_FILE_NAME));
     } catch {
-      // Ignore cleanup errors
+      // No .galleryignore in this directory
     }
+    ctx.ignoreRules.set(relativeDir, rules);
   }
+  return ctx.ignoreRules.get(relativeDir);
 }
 
 /**
- * Generate the images-data.js file
+ * Find the .galleryignore rule excluding a path: files of the input directory and of each
+ * parent directory apply, and the last matching rule wins (so deeper files override)
  */
-function generateDataFile(media) {
-  const imageCount = media.filter(m => m.type === 'image').length;
-  const videoCount = media.filter(m => m.type === 'video').length;
+function getIgnoreRule(ctx, relativePath, isDirectory) {
+  const parts = relativePath.split(path.sep);
+  let match = null;
+  for (let i = 0; i < parts.length; i++) {
+    for (const rule of getIgnoreFileRules(ctx, parts.slice(0, i).join(path.sep))) {
+      if (rule.directoryOnly && !isDirectory) continue;
+      const target = rule.anchored ? parts.slice(i).join('/') : parts[parts.length - 1];
+      if (rule.regex.test(target)) {
+        match = rule.negate ? null : rule;
+      }
+    }
+  }
+  return match;
+}
 
-  // Ensure .gallery-data directory exists
-  if (!fs.existsSync(GALLERY_DATA_DIR)) {
-    fs.mkdirSync(GALLERY_DATA_DIR, { recursive: true });
+/**
+ * Check a directory or media file (path relative to the input directory) against the scan rules:
+ * hidden entries, --exclude, .galleryignore and (files only) --include
+ * Returns the label of the rule that skips it, or null. Parent directories are not checked.
+ */
+function getSkipRule(ctx, relativePath, isDirectory) {
+  const posixPath = relativePath.split(path.sep).join('/');
+  if (!ctx.options.hidden && path.basename(relativePath).startsWith('.')) {
+    return 'hidden (use --hidden)';
+  }
+  const excluded = ctx.excludePatterns.find(pattern => matchesScanPattern(pattern, posixPath));
+  if (excluded) {
+    return `by --exclude ${excluded.glob}`;
+  }
+  const ignored = getIgnoreRule(ctx, relativePath, isDirectory);
+  if (ignored) {
+    return ignored.label;
   }
+  if (!isDirectory && ctx.includePatterns.length > 0 && !ctx.includePatterns.some(pattern => matchesScanPattern(pattern, posixPath))) {
+    return 'not matching --include';
+  }
+  return null;
+}
 
-  const content = `// Auto-generated by generate-gallery.js
-// Total media: ${media.length} (${imageCount} images, ${videoCount} videos)
-// Generated: ${new Date().toISOString()}
+/**
+ * Like getSkipRule, but also checks every parent directory and --max-depth (for watch mode)
+ */
+function getPathSkipRule(ctx, relativePath, isDirectory) {
+  const parts = relativePath.split(path.sep);
+  const depth = isDirectory ? parts.length : parts.length - 1;
+  if (ctx.options.maxDepth !== undefined && depth > ctx.options.maxDepth) {
+    return `beyond --max-depth ${ctx.options.maxDepth}`;
+  }
+  for (let i = 1; i < parts.length; i++) {
+    const rule = getSkipRule(ctx, parts.slice(0, i).join(path.sep), true);
+    if (rule) return rule;
+  }
+  return getSkipRule(ctx, relativePath, isDirectory);
+}
 
-const IMAGES = ${JSON.stringify(media, null, 2)};
-`;
+/**
+ * Create the state of one findMedia scan
+ * previous: manifest of the last run, whose directory listings are reused with --fast-rescan
+ */
+function createScanContext(previous = null) {
+  return { dirs: {}, previous, reusedDirs: 0, skipped: new Map(), visited: new Set() };
+}
 
-  fs.writeFileSync(OUTPUT_DATA_FILE, content);
-  console.log(`Generated ${path.relative(process.cwd(), OUTPUT_DATA_FILE)} with ${imageCount} images and ${videoCount} videos`);
+function countSkipped(scan, rule) {
+  scan.skipped.set(rule, (scan.skipped.get(rule) || 0) + 1);
 }
 
 /**
- * Generate the gallery.html file
+ * Recursively find all media files (images and videos) in a directory
+ * Entries skipped by the scan rules, --max-depth or symlink handling are counted in scan.skipped
+ * by rule. Each directory's unfiltered listing is recorded in scan.dirs (for the manifest), and
+ * with scan.previous (--fast-rescan) directories whose mtime is unchanged reuse the recorded
+ * listing instead of being read again. Their files are still stat'ed (so in-place edits are
+ * caught) and their subdirectories are still visited.
  */
-function generateHtmlFile() {
-  const html = `<!DOCTYPE html>
-<html lang="en">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>${options.title}</title>
-  <style>
-    :root {
-      --cols: 5;
-      --rows: 3;
-    }
-
-    * {
-      margin: 0;
-      padding: 0;
-      box-sizing: border-box;
-    }
+function findMedia(ctx, dir, media = [], scan = createScanContext()) {
+  const relativeDir = path.relative(ctx.inputDir, dir);
+  const depth = relativeDir ? relativeDir.split(path.sep).length : 0;
+  let dirMtime = null;
+  try {
+    dirMtime = Math.round(fs.statSync(dir).mtimeMs);
+  } catch {
+    // Reported by readdirSync below
+  }
 
-    body {
-      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-      background: #1a1a2e;
-      color: #eee;
-      height: 100vh;
-      overflow: hidden;
+  // Each real directory is scanned once, so symlink loops end here
+  if (ctx.options.followSymlinks) {
+    let realDir;
+    try {
+      realDir = fs.realpathSync(dir);
+    } catch (err) {
+      ctx.warn(`Warning: Could not resolve directory ${dir}: ${err.message}`);
+      return media;
     }
-
-    .header {
-      background: #16213e;
-      padding: 1rem 2rem;
-      position: sticky;
-      top: 0;
-      z-index: 100;
-      display: flex;
-      justify-content: space-between;
-      align-items: center;
-      flex-wrap: wrap;
-      gap: 1rem;
+    if (scan.visited.has(realDir)) {
+      countSkipped(scan, 'symlinked directories already scanned');
+      return media;
     }
+    scan.visited.add(realDir);
+  }
 
-    .header h1 {
-      font-size: 1.5rem;
-      font-weight: 500;
+  const previous = scan.previous && scan.previous.dirs[relativeDir];
+  const reused = Boolean(previous && previous.mtime === dirMtime);
+  let listing;
+  if (reused) {
+    listing = { links: [], ...previous };
+    scan.reusedDirs++;
+  } else {
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (err) {
+      ctx.warn(`Warning: Could not read directory ${dir}: ${err.message}`);
+      return media;
     }
 
-    .header-info {
-      display: flex;
-      gap: 2rem;
-      align-items: center;
-      flex-wrap: wrap;
-    }
+    listing = { mtime: dirMtime, files: [], subdirs: [], links: [] };
+    for (const entry of entries) {
+      // Skip output files and gallery data directory
+      if (entry.name === 'gallery.html' || entry.name === '.gallery-data') {
+        continue;
+      }
 
-    .pagination {
-      display: flex;
-      align-items: center;
-      gap: 0.5rem;
+      if (entry.isSymbolicLink()) {
+        listing.links.push(entry.name);
+      } else if (entry.isDirectory()) {
+        listing.subdirs.push(entry.name);
+      } else if (entry.isFile() && ctx.mediaExtensions.includes(path.extname(entry.name).toLowerCase())) {
+        listing.files.push(entry.name);
+      }
     }
+  }
+  scan.dirs[relativeDir] = listing;
 
-    .pagination button {
-      background: #0f3460;
-      border: none;
-      color: #eee;
-      padding: 0.5rem 1rem;
-      border-radius: 4px;
-      cursor: pointer;
-      font-size: 1rem;
-      transition: background 0.2s;
+  function addFile(name, stats) {
+    const rule = getSkipRule(ctx, path.join(relativeDir, name), false);
+    if (rule) {
+      countSkipped(scan, rule);
+      return;
     }
-
-    .pagination button:hover:not(:disabled) {
-      background: #e94560;
+    const fullPath = path.join(dir, name);
+    try {
+      media.push(createMediaEntry(ctx, fullPath, stats || fs.statSync(fullPath)));
+    } catch (err) {
+      ctx.warn(`Warning: Could not read ${fullPath}: ${err.message}`);
     }
+  }
 
-    .pagination button:disabled {
-      opacity: 0.5;
-      cursor: not-allowed;
+  function addDirectory(name) {
+    const rule = depth >= (ctx.options.maxDepth ?? Infinity)
+      ? `beyond --max-depth ${ctx.options.maxDepth}`
+      : getSkipRule(ctx, path.join(relativeDir, name), true);
+    if (rule) {
+      countSkipped(scan, rule);
+      return;
     }
+    findMedia(ctx, path.join(dir, name), media, scan);
+  }
 
-    .pagination .page-info {
-      padding: 0 1rem;
-      min-width: 120px;
-      text-align: center;
+  for (const name of listing.files) {
+    addFile(name);
+  }
+  for (const name of listing.subdirs) {
+    addDirectory(name);
+  }
+  for (const name of listing.links) {
+    if (!ctx.options.followSymlinks) {
+      countSkipped(scan, 'symlinks not followed (use --follow-symlinks)');
+      continue;
     }
-
-    .shortcuts {
-      font-size: 0.85rem;
-      color: #888;
+    let stats;
+    try {
+      stats = fs.statSync(path.join(dir, name));
+    } catch {
+      countSkipped(scan, 'broken symlinks');
+      continue;
     }
-
-    .shortcuts kbd {
-      background: #0f3460;
-      padding: 0.2rem 0.5rem;
-      border-radius: 3px;
-      font-family: monospace;
+    if (stats.isDirectory()) {
+      addDirectory(name);
+    } else if (stats.isFile() && ctx.mediaExtensions.includes(path.extname(name).toLowerCase())) {
+      addFile(name, stats);
     }
+  }
 
-    .gallery {
-      display: grid;
-      grid-template-columns: repeat(var(--cols), 1fr);
-      grid-template-rows: repeat(var(--rows), 1fr);
-      gap: 1rem;
-      padding: 1rem;
-      height: calc(100vh - 60px);
-      overflow: hidden;
-    }
-
-    .thumbnail {
-      aspect-ratio: 1;
-      overflow: hidden;
-      border-radius: 8px;
-      cursor: pointer;
-      position: relative;
-      background: #16213e;
-      transition: transform 0.2s, box-shadow 0.2s;
-    }
+  return media;
+}
 
-    .thumbnail:hover {
-      transform: scale(1.02);
-      box-shadow: 0 4px 20px rgba(233, 69, 96, 0.3);
-    }
+/**
+ * Load the scan manifest from a previous run (empty if missing or from an older format)
+ */
+function loadManifest(ctx) {
+  try {
+    const manifest = JSON.parse(fs.readFileSync(ctx.paths.manifest, 'utf8'));
+    if (manifest.version === MANIFEST_VERSION) return manifest;
+  } catch {
+    // No manifest yet
+  }
+  return { version: MANIFEST_VERSION, files: {}, dirs: {} };
+}
 
-    .thumbnail.cursor {
-      box-shadow: 0 0 0 6px #e94560;
-    }
+function saveManifest(ctx, manifest) {
+  if (!fs.existsSync(ctx.paths.stateDir)) {
+    fs.mkdirSync(ctx.paths.stateDir, { recursive: true });
+  }
+  writeFileAtomic(ctx.paths.manifest, JSON.stringify(manifest) + '\n');
+}
 
-    .thumbnail img {
-      width: 100%;
-      height: 100%;
-      object-fit: cover;
-      transition: opacity 0.3s;
-    }
+/**
+ * Content fingerprint: SHA-1 of the whole file, so edits that keep the size are caught too
+ */
+async function fingerprintFile(filePath) {
+  return (await hashFileContents(filePath)).slice(0, 16);
+}
 
-    .thumbnail img.loading {
-      opacity: 0;
-    }
+/**
+ * Compare found media against the manifest and set each item's fingerprint
+ * Fingerprints are only computed (reading the whole file) for recorded files whose size or mtime
+ * differ from the manifest; new files are recorded with their size and mtime only.
+ * Thumbnails of changed sources are deleted so they get regenerated.
+ * Returns the new manifest file entries and the new/changed/unchanged/removed counts.
+ */
+async function classifySources(ctx, found, manifest) {
+  const counts = { new: 0, changed: 0, unchanged: 0, removed: 0 };
+  const files = {};
+  const queue = [...found];
 
-    .thumbnail .size-badge {
-      position: absolute;
-      bottom: 0.5rem;
-      right: 0.5rem;
-      background: rgba(0, 0, 0, 0.7);
-      padding: 0.2rem 0.5rem;
-      border-radius: 3px;
-      font-size: 0.75rem;
-    }
+  async function processOne() {
+    while (queue.length > 0) {
+      const item = queue.shift();
+      const previous = manifest.files[item.path];
 
-    .thumbnail .index-badge {
-      position: absolute;
-      top: 0.5rem;
-      left: 0.5rem;
-      background: rgba(233, 69, 96, 0.8);
-      padding: 0.2rem 0.5rem;
-      border-radius: 3px;
-      font-size: 0.75rem;
-    }
+      if (!previous) {
+        counts.new++;
+        files[item.path] = { size: item.size, mtime: item.mtime };
+        continue;
+      }
+      if (previous.size === item.size && previous.mtime === item.mtime) {
+        item.fingerprint = previous.fingerprint;
+      } else {
+        try {
+          item.fingerprint = await fingerprintFile(path.join(ctx.inputDir, item.path));
+        } catch (err) {
+          // Checked again next run; until then the item keeps its thumbnail and cached data
+          ctx.warn(`Warning: Could not read ${item.path}: ${err.message}`);
+          item.fingerprint = previous.fingerprint;
+          files[item.path] = previous;
+          counts.unchanged++;
+          continue;
+        }
+      }
 
-    .thumbnail .play-indicator {
-      position: absolute;
-      top: 50%;
-      left: 50%;
-      transform: translate(-50%, -50%);
-      font-size: 3rem;
-      color: rgba(255, 255, 255, 0.85);
-      text-shadow: 0 2px 10px rgba(0, 0, 0, 0.5);
-      pointer-events: none;
-      transition: transform 0.2s, color 0.2s;
+      if (previous.fingerprint !== item.fingerprint) {
+        counts.changed++;
+        removeThumbnailFiles(ctx, item);
+        removePreviews(ctx, item.path);
+        removeProxies(ctx, item.path);
+      } else {
+        counts.unchanged++;
+      }
+      files[item.path] = { size: item.size, mtime: item.mtime, fingerprint: item.fingerprint };
     }
+  }
 
-    .thumbnail:hover .play-indicator {
-      transform: translate(-50%, -50%) scale(1.1);
-      color: #e94560;
-    }
+  const workers = [];
+  for (let i = 0; i < ctx.config.concurrency; i++) {
+    workers.push(processOne());
+  }
+  await Promise.all(workers);
 
-    /* Lightbox */
-    .lightbox {
-      display: none;
-      position: fixed;
-      top: 0;
-      left: 0;
-      width: 100%;
-      height: 100%;
-      background: rgba(0, 0, 0, 0.95);
-      z-index: 1000;
-      justify-content: center;
-      align-items: center;
-    }
+  counts.removed = Object.keys(manifest.files).filter(filePath => !files[filePath]).length;
+  return { files, counts };
+}
 
-    .lightbox.active {
-      display: flex;
-    }
+/**
+ * Create the media entry for a file found in the input directory
+ */
+function createMediaEntry(ctx, fullPath, stats) {
+  const ext = path.extname(fullPath).toLowerCase();
+  return {
+    path: path.relative(ctx.inputDir, fullPath),
+    size: stats.size,
+    mtime: Math.round(stats.mtimeMs),
+    type: ctx.config.videoExtensions.includes(ext) ? 'video' : 'image'
+  };
+}
 
-    .lightbox-content {
-      position: relative;
-      max-width: 95vw;
-      max-height: 95vh;
-      display: flex;
-      flex-direction: column;
-      align-items: center;
-    }
+/**
+ * Compute the SHA-1 of a file's contents
+ */
+function hashFileContents(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha1');
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
 
-    .lightbox-content img {
-      max-width: 95vw;
-      max-height: 85vh;
-      object-fit: contain;
-    }
+/**
+ * Find files with identical content
+ * Only files whose sizes collide are compared, by their fingerprint; files without one yet are
+ * hashed, so scans of unique files stay fast. Fingerprints computed here are stored on the items
+ * and in the manifest entries (files), if given.
+ * Returns groups of { size, hash, kept, copies } where kept is the first file found.
+ */
+async function findDuplicates(ctx, media, files = {}) {
+  const bySize = new Map();
+  for (const item of media) {
+    if (!bySize.has(item.size)) bySize.set(item.size, []);
+    bySize.get(item.size).push(item);
+  }
 
-    .lightbox-content video {
-      max-width: 95vw;
-      max-height: 85vh;
-      outline: none;
-    }
+  const groups = [];
+  let hashed = 0;
+  for (const [size, items] of bySize) {
+    if (items.length < 2) continue;
 
-    .lightbox-info {
-      margin-top: 1rem;
-      text-align: center;
-      color: #888;
+    const byHash = new Map();
+    for (const item of items) {
+      if (!item.fingerprint) {
+        try {
+          item.fingerprint = await fingerprintFile(path.join(ctx.inputDir, item.path));
+          hashed++;
+        } catch (err) {
+          ctx.warn(`Warning: Could not hash ${item.path}: ${err.message}`);
+          continue;
+        }
+        if (files[item.path]) files[item.path].fingerprint = item.fingerprint;
+      }
+      const hash = item.fingerprint;
+      if (!byHash.has(hash)) byHash.set(hash, []);
+      byHash.get(hash).push(item);
     }
 
-    .lightbox-info .path {
-      font-family: monospace;
-      font-size: 0.85rem;
-      word-break: break-all;
-      max-width: 90vw;
+    for (const [hash, copies] of byHash) {
+      if (copies.length < 2) continue;
+      groups.push({ size, hash, kept: copies[0], copies: copies.slice(1) });
     }
+  }
 
-    .lightbox-info .position {
-      margin-top: 0.5rem;
-      color: #e94560;
-    }
+  return { groups, hashed };
+}
 
-    .lightbox-close {
-      position: absolute;
-      top: 1rem;
-      right: 1rem;
-      background: none;
-      border: none;
-      color: #eee;
-      font-size: 2rem;
-      cursor: pointer;
-      z-index: 1001;
-      width: 50px;
-      height: 50px;
-      display: flex;
-      align-items: center;
-      justify-content: center;
-      border-radius: 50%;
-      transition: background 0.2s;
+/**
+ * Apply the --duplicates mode to the media list
+ *   skip:  drop every copy except the first one found
+ *   keep:  leave all copies in the gallery
+ *   group: keep the first copy and list the others on it as `duplicates`
+ */
+function applyDuplicateMode(media, groups, mode) {
+  // Clear groupings from a previous pass (watch mode re-applies this to the same entries)
+  for (const item of media) delete item.duplicates;
+  if (mode === 'keep') return media;
+
+  const copies = new Set();
+  for (const group of groups) {
+    for (const copy of group.copies) copies.add(copy);
+    if (mode === 'group') {
+      group.kept.duplicates = group.copies.map(copy => copy.path);
     }
+  }
+  return media.filter(item => !copies.has(item));
+}
 
-    .lightbox-close:hover {
-      background: rgba(255, 255, 255, 0.1);
+/**
+ * Merge RAW+JPEG pairs (same directory and base name, e.g. IMG_0001.CR2 and IMG_0001.JPG) into one item:
+ * the RAW file is dropped from the media list and named on the JPEG's entry as `raw`
+ * Returns the remaining media and the number of pairs.
+ */
+function groupRawPairs(media) {
+  // Clear pairs from a previous pass (watch mode re-applies this to the same entries)
+  for (const item of media) delete item.raw;
+
+  const withoutExtension = item => item.path.slice(0, -path.extname(item.path).length).toLowerCase();
+  const jpegs = new Map();
+  for (const item of media) {
+    if (['.jpg', '.jpeg'].includes(path.extname(item.path).toLowerCase())) {
+      jpegs.set(withoutExtension(item), item);
     }
+  }
 
-    .lightbox-nav {
-      position: absolute;
-      top: 50%;
-      transform: translateY(-50%);
-      background: rgba(255, 255, 255, 0.1);
-      border: none;
-      color: #eee;
-      font-size: 2rem;
-      cursor: pointer;
-      padding: 1rem;
-      z-index: 1001;
-      border-radius: 4px;
-      transition: background 0.2s;
+  const paired = new Set();
+  for (const item of media) {
+    const jpeg = isRawImage(item) && jpegs.get(withoutExtension(item));
+    if (jpeg && !jpeg.raw) {
+      jpeg.raw = item.path;
+      paired.add(item);
     }
+  }
+  return { media: media.filter(item => !paired.has(item)), pairs: paired.size };
+}
 
-    .lightbox-nav:hover {
-      background: rgba(233, 69, 96, 0.5);
-    }
+/**
+ * Write the duplicates report (.gallery-data/duplicates.json)
+ */
+function generateDuplicatesReport(ctx, groups, mode) {
+  if (!fs.existsSync(ctx.paths.stateDir)) {
+    fs.mkdirSync(ctx.paths.stateDir, { recursive: true });
+  }
 
-    .lightbox-nav.prev {
-      left: 1rem;
-    }
+  const report = {
+    generated: new Date().toISOString(),
+    mode,
+    groups: groups.map(group => ({
+      size: group.size,
+      sha1: group.hash,
+      kept: group.kept.path,
+      copies: group.copies.map(copy => copy.path)
+    }))
+  };
+
+  fs.writeFileSync(ctx.paths.duplicatesReport, JSON.stringify(report, null, 2) + '\n');
+}
 
-    .lightbox-nav.next {
-      right: 1rem;
-    }
+/**
+ * Write a file atomically: readers see either the old or the new content, never a partial write
+ */
+function writeFileAtomic(filePath, content) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, content);
+  fs.renameSync(tempPath, filePath);
+}
 
-    .loading-spinner {
-      position: absolute;
-      top: 50%;
-      left: 50%;
-      transform: translate(-50%, -50%);
-      width: 40px;
-      height: 40px;
-      border: 3px solid #333;
-      border-top-color: #e94560;
-      border-radius: 50%;
-      animation: spin 1s linear infinite;
-    }
+/**
+ * Format bytes to human readable string
+ */
+function formatBytes(bytes) {
+  if (bytes === 0) return '0 B';
+  const k = 1024;
+  const sizes = ['B', 'KB', 'MB', 'GB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+}
 
-    @keyframes spin {
-      to { transform: translate(-50%, -50%) rotate(360deg); }
-    }
+/**
+ * Compare two strings naturally ("img2" before "img10"), ignoring case
+ */
+function compareText(a, b) {
+  return a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' });
+}
 
-    .no-images {
-      text-align: center;
-      padding: 4rem 2rem;
-      color: #888;
-    }
+/**
+ * Capture date used for sorting, falling back to the file modification time
+ */
+function getCaptureDate(media) {
+  return media.taken || new Date(media.mtime).toISOString().slice(0, 19);
+}
 
-    @media (max-width: 600px) {
-      .header {
-        padding: 1rem;
+/**
+ * Compare two media items by a sort key (ascending), using the path as tie-breaker
+ * 'random' orders by a hash of seed + path: stable for a given seed, shuffled across seeds
+ */
+function compareMedia(a, b, key, seed) {
+  let result = 0;
+  switch (key) {
+    case 'name':
+      result = compareText(path.basename(a.path), path.basename(b.path));
+      break;
+    case 'size':
+      result = a.size - b.size;
+      break;
+    case 'mtime':
+      result = a.mtime - b.mtime;
+      break;
+    case 'taken':
+      result = getCaptureDate(a).localeCompare(getCaptureDate(b));
+      break;
+    case 'type':
+      result = a.type.localeCompare(b.type) ||
+        path.extname(a.path).toLowerCase().localeCompare(path.extname(b.path).toLowerCase());
+      break;
+    case 'random':
+      result = hashPath(seed + a.path).localeCompare(hashPath(seed + b.path));
+      break;
+  }
+  return result || compareText(a.path, b.path);
+}
+
+/**
+ * Sort media in place by key and order ('asc' or 'desc')
+ */
+function sortMedia(media, key, order, seed) {
+  const direction = order === 'desc' ? -1 : 1;
+  return media.sort((a, b) => direction * compareMedia(a, b, key, seed));
+}
+
+/**
+ * Hash a string to a 16-character hex string (64-bit)
+ * Uses two djb2 hashes combined for better distribution
+ */
+function hashPath(str) {
+  let h1 = 5381, h2 = 52711;
+  for (let i = 0; i < str.length; i++) {
+    const c = str.charCodeAt(i);
+    h1 = ((h1 << 5) + h1) ^ c;
+    h2 = ((h2 << 5) + h2) ^ c;
+  }
+  return (h1 >>> 0).toString(16).padStart(8, '0') +
+         (h2 >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Get thumbnail path for a media file (hash-based with nested directories)
+ */
+function getThumbnailPath(ctx, mediaPath, mediaType) {
+  const ext = path.extname(mediaPath).toLowerCase();
+  // Videos and GIFs get animated WebP thumbnails; PNGs and SVGs keep their transparency
+  const thumbExt = (mediaType === 'video' || ext === '.gif') ? '.webp' : (ext === '.png' || ext === '.svg' ? '.png' : '.jpg');
+  const hash = hashPath(mediaPath);
+  // Structure: thumbnails/{hash[0]}/{hash[1]}/{hash}.{ext}
+  return path.join(ctx.paths.thumbnailsDir, hash[0], hash[1], hash + thumbExt);
+}
+
+/**
+ * Get the path of a video's still poster frame: thumbnails/{hash[0]}/{hash[1]}/{hash}-poster.jpg
+ */
+function getPosterPath(ctx, mediaPath) {
+  const hash = hashPath(mediaPath);
+  return path.join(ctx.paths.thumbnailsDir, hash[0], hash[1], hash + '-poster.jpg');
+}
+
+/**
+ * Files making up an item's thumbnail: the thumbnail itself and, for a video, its poster
+ */
+function getThumbnailFiles(ctx, item) {
+  const thumbPath = getThumbnailPath(ctx, item.path, item.type);
+  return item.type === 'video' ? [thumbPath, getPosterPath(ctx, item.path)] : [thumbPath];
+}
+
+function removeThumbnailFiles(ctx, item) {
+  for (const file of getThumbnailFiles(ctx, item)) {
+    fs.rmSync(file, { force: true });
+  }
+}
+
+/**
+ * Whether an image is a camera RAW file (CR2, CR3, NEF, ARW, DNG)
+ */
+function isRawImage(item) {
+  return item.type === 'image' && RAW_IMAGE_EXTENSIONS.includes(path.extname(item.path).toLowerCase());
+}
+
+/**
+ * Whether the lightbox needs a converted rendition of an image (HEIC, TIFF, RAW...) instead of the original
+ * SVGs count as converted: the viewer only ever shows them rasterised.
+ */
+function isConvertedImage(item) {
+  return item.type === 'image' && !BROWSER_IMAGE_EXTENSIONS.includes(path.extname(item.path).toLowerCase());
+}
+
+/**
+ * Widths of the lightbox renditions of an item: still images wider than a configured size
+ * (never upscaled). GIFs, videos and browser-viewable images of unknown width are shown as the original;
+ * converted images also get a full-size rendition standing in for the original, and SVGs get every configured width.
+ */
+function getPreviewWidths(item, config) {
+  const ext = path.extname(item.path).toLowerCase();
+  if (item.type !== 'image' || ext === '.gif') return [];
+  if (ext === '.svg') {
+    return config.previewSizes.length > 0 ? config.previewSizes : [CONVERTED_PREVIEW_WIDTH];
+  }
+  const widths = item.width ? config.previewSizes.filter(width => width < item.width) : [];
+  if (isConvertedImage(item)) {
+    // Browsers can't display the original, so a full-size rendition (up to the largest size) stands in for it
+    const largest = config.previewSizes.length > 0 ? Math.max(...config.previewSizes) : CONVERTED_PREVIEW_WIDTH;
+    const full = item.width ? Math.min(item.width, largest) : (config.previewSizes[0] || CONVERTED_PREVIEW_WIDTH);
+    if (!widths.includes(full)) widths.push(full);
+  }
+  return widths;
+}
+
+/**
+ * Get the path of a lightbox rendition: previews/{hash[0]}/{hash[1]}/{hash}-{width}.{webp|jpg},
+ * with -p{page} before the width for the further pages of a multi-page TIFF
+ */
+function getPreviewPath(ctx, mediaPath, width, page = 0) {
+  const hash = hashPath(mediaPath);
+  const ext = ctx.config.previewFormat === 'jpeg' ? '.jpg' : '.webp';
+  const name = page > 0 ? `${hash}-p${page}-${width}${ext}` : `${hash}-${width}${ext}`;
+  return path.join(ctx.paths.previewsDir, hash[0], hash[1], name);
+}
+
+/**
+ * List the renditions of a media file present on disk, whatever their width and format
+ */
+function listPreviewFiles(ctx, mediaPath) {
+  const hash = hashPath(mediaPath);
+  const dir = path.join(ctx.paths.previewsDir, hash[0], hash[1]);
+  try {
+    return fs.readdirSync(dir).filter(name => name.startsWith(hash + '-')).map(name => path.join(dir, name));
+  } catch {
+    return [];
+  }
+}
+
+function removePreviews(ctx, mediaPath) {
+  for (const file of listPreviewFiles(ctx, mediaPath)) {
+    fs.rmSync(file, { force: true });
+  }
+}
+
+/**
+ * Whether a video needs a proxy to play in the lightbox: its container, video codec or audio codec
+ * is not one that every current browser plays. Videos ffprobe could not read are shown as the original.
+ */
+function needsVideoProxy(item) {
+  if (item.type !== 'video' || !item.codec) return false;
+  return !BROWSER_VIDEO_CONTAINERS.includes(path.extname(item.path).toLowerCase()) ||
+    !BROWSER_VIDEO_CODECS.includes(item.codec) ||
+    Boolean(item.audioCodec && !BROWSER_AUDIO_CODECS.includes(item.audioCodec));
+}
+
+/**
+ * Whether an --export gallery includes an item's original: with webOnly, only the originals the
+ * lightbox shows as they are, not those it replaces with renditions or a proxy
+ */
+function isOriginalExported(ctx, item) {
+  if (!ctx.options.webOnly) return true;
+  if (item.type === 'video') return ctx.config.videoProxies === 'off' || !needsVideoProxy(item);
+  return getPreviewWidths(item, ctx.config).length === 0;
+}
+
+/**
+ * Get the path of a video proxy: proxies/{hash[0]}/{hash[1]}/{hash}.{mp4|webm}
+ */
+function getProxyPath(ctx, mediaPath) {
+  const hash = hashPath(mediaPath);
+  const ext = ctx.config.videoProxies === 'vp9' ? '.webm' : '.mp4';
+  return path.join(ctx.paths.proxiesDir, hash[0], hash[1], hash + ext);
+}
+
+/**
+ * List the proxies of a media file present on disk, whatever their format
+ */
+function listProxyFiles(ctx, mediaPath) {
+  const hash = hashPath(mediaPath);
+  return ['.mp4', '.webm']
+    .map(ext => path.join(ctx.paths.proxiesDir, hash[0], hash[1], hash + ext))
+    .filter(file => fs.existsSync(file));
+}
+
+function removeProxies(ctx, mediaPath) {
+  for (const file of listProxyFiles(ctx, mediaPath)) {
+    fs.rmSync(file, { force: true });
+  }
+}
+
+/**
+ * Temporary path a thumbnail is written to before being renamed into place
+ * Keeps the extension so sharp and ffmpeg still pick the output format from it.
+ */
+function getTempThumbnailPath(thumbPath) {
+  const ext = path.extname(thumbPath);
+  return `${thumbPath.slice(0, -ext.length)}.${process.pid}.tmp${ext}`;
+}
+
+/**
+ * Check if ffmpeg is available on the system
+ */
+async function checkFfmpegAvailable() {
+  try {
+    await execFileAsync('ffmpeg', ['-version']);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Get video duration using ffprobe (throws if it cannot be determined)
+ */
+async function getVideoDuration(videoPath, signal) {
+  const { stdout } = await execFileAsync(
+    'ffprobe',
+    ['-v', 'error', '-show_entries', 'format=duration', '-of', 'csv=p=0', videoPath],
+    { timeout: 10000, signal }
+  );
+  const duration = parseFloat(stdout.trim());
+  if (isNaN(duration) || duration <= 0) {
+    throw new Error('Could not determine video duration');
+  }
+  return duration;
+}
+
+/**
+ * Get the start timestamps (in seconds) and frame count of the segments sampled for a video thumbnail
+ * Parameters are derived from hash for deterministic variation between videos
+ */
+function getVideoSegments(videoPath, duration) {
+  // Use hash to deterministically vary parameters per video (avoids synchronized cuts)
+  const hash = hashPath(videoPath);
+  const baseSegmentCount = parseInt(hash.slice(0, 2), 16) % 4 + 7;     // 7-10 segments
+  const framesPerSegment = parseInt(hash.slice(2, 4), 16) % 11 + 10;   // 10-20 frames per segment
+
+  // Calculate segment timestamps distributed across video (skip first/last 5% to avoid black frames)
+  const startOffset = duration * 0.05;
+  const endOffset = duration * 0.95;
+  const usableDuration = endOffset - startOffset;
+  const segmentCount = Math.min(baseSegmentCount, Math.max(1, Math.floor(duration))); // At least 1s apart
+  const interval = usableDuration / Math.max(1, segmentCount - 1);
+
+  const timestamps = [];
+  for (let i = 0; i < segmentCount; i++) {
+    timestamps.push(startOffset + (i * interval));
+  }
+
+  return { timestamps, framesPerSegment };
+}
+
+/**
+ * Build the ffmpeg filter graph that scales/crops each segment input (one per timestamp, see
+ * getVideoSegmentInputs) to the thumbnail size and concatenates them into a single stream labelled [out]
+ */
+function buildVideoThumbnailFilter(timestamps, framesPerSegment, config) {
+  const segmentLabels = timestamps.map((_, i) => `[v${i}]`).join('');
+
+  const filters = timestamps.map((_, i) =>
+    `[${i}:v]setpts=PTS-STARTPTS,fps=${VIDEO_SAMPLE_FPS},trim=end_frame=${framesPerSegment},` +
+    `scale=${config.thumbnailSize}:${config.thumbnailSize}:force_original_aspect_ratio=increase,` +
+    `crop=${config.thumbnailSize}:${config.thumbnailSize},setsar=1[v${i}]`
+  );
+  // Retime the concatenated frames so they play back at the configured videoFps
+  filters.push(`${segmentLabels}concat=n=${timestamps.length}:v=1:a=0,setpts=N/(${config.videoFps}*TB)[out]`);
+
+  return filters.join(';');
+}
+
+/**
+ * ffmpeg input arguments opening the video once per segment: -ss before -i seeks to the nearest
+ * keyframe and decodes from there, and -t stops reading one sample after the segment's frames,
+ * so only the segments are decoded instead of the whole video
+ */
+function getVideoSegmentInputs(videoPath, timestamps, framesPerSegment) {
+  const segmentDuration = ((framesPerSegment + 1) / VIDEO_SAMPLE_FPS).toFixed(6);
+  return timestamps.flatMap(timestamp => ['-ss', timestamp.toFixed(6), '-t', segmentDuration, '-i', videoPath]);
+}
+
+/**
+ * Which part of a failed ffmpeg thumbnail pass failed, from its exit and error output: 'encode' when
+ * the WebP encoder or the output file is named, else 'extract' (reading, decoding or filtering the
+ * segments; also a timeout or abort, since decoding is what takes the time)
+ */
+function getFfmpegFailureStage(err, outputPath) {
+  if (err.killed || typeof err.code !== 'number') return 'extract';
+  const stderr = err.stderr || '';
+  return FFMPEG_ENCODE_ERROR.test(stderr) || stderr.includes(outputPath) ? 'encode' : 'extract';
+}
+
+/**
+ * Generate animated WebP thumbnail from video using ffmpeg
+ * Extracts multiple segments, each with consecutive frames, for smoother animation
+ * All segments are cut and encoded in a single ffmpeg pass (no intermediate frame files);
+ * a failure carries the stage that failed (extract or encode)
+ */
+async function generateVideoThumbnail(videoPath, outputPath, duration, config, signal) {
+  const { timestamps, framesPerSegment } = getVideoSegments(videoPath, duration);
+
+  try {
+    await execFileAsync('ffmpeg', [
+      '-y', '-v', 'error',
+      ...getVideoSegmentInputs(videoPath, timestamps, framesPerSegment),
+      '-filter_complex', buildVideoThumbnailFilter(timestamps, framesPerSegment, config),
+      '-map', '[out]',
+      '-an',
+      '-loop', '0',
+      '-quality', String(config.videoQuality),
+      outputPath
+    ], { timeout: VIDEO_THUMBNAIL_TIMEOUT + duration * VIDEO_THUMBNAIL_TIMEOUT_PER_SECOND, signal });
+  } catch (err) {
+    err.stage = getFfmpegFailureStage(err, outputPath);
+    throw err;
+  }
+}
+
+/**
+ * Extract the frame at a timestamp as a PNG, scaled down to POSTER_WIDTH (never up)
+ */
+async function extractVideoFrame(videoPath, timestamp, signal) {
+  const { stdout } = await execFileAsync('ffmpeg', [
+    '-v', 'error',
+    '-ss', timestamp.toFixed(3),
+    '-i', videoPath,
+    '-frames:v', '1',
+    '-vf', `scale=w='min(iw,${POSTER_WIDTH})':h=-2`,
+    '-f', 'image2pipe', '-c:v', 'png',
+    '-'
+  ], { encoding: 'buffer', maxBuffer: 64 * 1024 * 1024, timeout: 60000, signal });
+  if (stdout.length === 0) {
+    throw new Error('No frame at the poster timestamp');
+  }
+  return stdout;
+}
+
+/**
+ * Create an H.264/AAC MP4 or VP9/Opus WebM the lightbox can play; only the first video and audio streams are kept
+ * Streams whose codec (as read by ffprobe into the media item) browsers play and the format takes are copied,
+ * e.g. H.264/AAC from a MOV is only remuxed; the others are transcoded, video to at most PROXY_MAX_SIZE.
+ */
+async function generateVideoProxy(videoPath, outputPath, codec, item, signal) {
+  const copy = PROXY_COPY_CODECS[codec];
+  const video = copy.video.includes(item.codec)
+    ? ['-c:v', 'copy']
+    : [
+      '-vf', `scale=w='min(iw,${PROXY_MAX_SIZE})':h='min(ih,${PROXY_MAX_SIZE})':force_original_aspect_ratio=decrease:force_divisible_by=2`,
+      '-pix_fmt', 'yuv420p',
+      ...(codec === 'vp9'
+        ? ['-c:v', 'libvpx-vp9', '-crf', '32', '-b:v', '0', '-row-mt', '1', '-cpu-used', '4']
+        : ['-c:v', 'libx264', '-preset', 'veryfast', '-crf', '23'])
+    ];
+  const audio = copy.audio.includes(item.audioCodec)
+    ? ['-c:a', 'copy']
+    : ['-c:a', codec === 'vp9' ? 'libopus' : 'aac', '-b:a', '128k'];
+
+  await execFileAsync('ffmpeg', [
+    '-y', '-v', 'error',
+    '-i', videoPath,
+    '-map', '0:v:0', '-map', '0:a:0?',
+    ...video,
+    ...audio,
+    ...(codec === 'vp9' ? [] : ['-movflags', '+faststart']),
+    outputPath
+  ], { signal });
+}
+
+/**
+ * Format an EXIF date (camera local time, parsed as UTC) without a timezone suffix
+ */
+function formatExifDate(date) {
+  if (!(date instanceof Date) || isNaN(date.getTime())) return undefined;
+  return date.toISOString().slice(0, 19);
+}
+
+/**
+ * Convert an EXIF GPS coordinate ([degrees, minutes, seconds] + N/S/E/W ref) to decimal degrees
+ */
+function gpsToDecimal(value, ref) {
+  if (!Array.isArray(value) || value.length < 3) return undefined;
+  const decimal = value[0] + value[1] / 60 + value[2] / 3600;
+  return Number(((ref === 'S' || ref === 'W') ? -decimal : decimal).toFixed(6));
+}
+
+/**
+ * Pick the fields shown in the lightbox from a raw EXIF buffer, or from tags already read by exif-reader
+ */
+function parseExif(buffer) {
+  const exif = Buffer.isBuffer(buffer) ? exifReader(buffer) : buffer;
+  const image = exif.Image || {};
+  const photo = exif.Photo || {};
+  const gps = exif.GPSInfo || {};
+  const fields = {};
+
+  fields.taken = formatExifDate(photo.DateTimeOriginal || photo.DateTimeDigitized || image.DateTime);
+
+  const make = (image.Make || '').trim();
+  const model = (image.Model || '').trim();
+  if (model) {
+    fields.camera = make && !model.startsWith(make) ? `${make} ${model}` : model;
+  }
+  if (photo.LensModel) {
+    fields.lens = photo.LensModel.trim();
+  }
+
+  if (photo.ExposureTime) {
+    fields.exposure = photo.ExposureTime < 1
+      ? `1/${Math.round(1 / photo.ExposureTime)}s`
+      : `${photo.ExposureTime}s`;
+  }
+  if (photo.FNumber) {
+    fields.aperture = `f/${Number(photo.FNumber.toFixed(1))}`;
+  }
+  const iso = Array.isArray(photo.ISOSpeedRatings) ? photo.ISOSpeedRatings[0] : photo.ISOSpeedRatings;
+  if (iso) {
+    fields.iso = iso;
+  }
+  if (photo.FocalLength) {
+    fields.focalLength = `${Number(photo.FocalLength.toFixed(1))}mm`;
+  }
+
+  const latitude = gpsToDecimal(gps.GPSLatitude, gps.GPSLatitudeRef);
+  const longitude = gpsToDecimal(gps.GPSLongitude, gps.GPSLongitudeRef);
+  if (latitude !== undefined && longitude !== undefined) {
+    fields.gps = [latitude, longitude];
+  }
+
+  return fields;
+}
+
+/**
+ * Read up to length bytes of an open file at position
+ */
+async function readFileRange(handle, position, length) {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+/**
+ * Whether a JPEG stream is baseline or progressive (sharp can decode it), unlike the lossless JPEG
+ * RAW files use for sensor data; streams whose frame header is not found near the start are accepted
+ */
+async function isDecodableJpeg(handle, offset, length) {
+  const head = await readFileRange(handle, offset, Math.min(length, 256 * 1024));
+  if (head[0] !== 0xff || head[1] !== 0xd8) return false;
+  let position = 2;
+  while (position + 4 <= head.length && head[position] === 0xff) {
+    const marker = head[position + 1];
+    // Start of frame (SOF0-SOF15, except DHT, JPG and DAC which share the range)
+    if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      return marker <= 0xc2;
+    }
+    position += 2 + head.readUInt16BE(position + 2);
+  }
+  return true;
+}
+
+/**
+ * Find the JPEG previews of a TIFF-based RAW file (CR2, NEF, ARW, DNG) by walking IFD0, the IFDs
+ * chained to it and their SubIFDs; previews are referenced by JPEGInterchangeFormat or stored as
+ * a single JPEG-compressed strip. Returns { previews: [{ offset, length }], orientation }.
+ */
+async function readTiffPreviews(handle, fileSize) {
+  const header = await readFileRange(handle, 0, 8);
+  const byteOrder = header.toString('latin1', 0, 2);
+  const littleEndian = byteOrder === 'II';
+  const readShort = (buffer, offset) => (littleEndian ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset));
+  const readLong = (buffer, offset) => (littleEndian ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset));
+  if (header.length < 8 || (byteOrder !== 'II' && byteOrder !== 'MM') || readShort(header, 2) !== 42) {
+    throw new Error('Not a TIFF-based RAW file');
+  }
+
+  // SHORT/LONG/IFD tags that locate previews: NewSubfileType, Compression, Photometric, StripOffsets,
+  // Orientation, StripByteCounts, SubIFDs, JPEGInterchangeFormat(Length)
+  const wanted = new Set([0x00fe, 0x0103, 0x0106, 0x0111, 0x0112, 0x0117, 0x014a, 0x0201, 0x0202]);
+  const previews = [];
+  const visited = new Set();
+  let orientation;
+
+  async function readIfd(offset, depth) {
+    if (!offset || visited.has(offset) || visited.size >= 64 || offset + 2 > fileSize) return 0;
+    visited.add(offset);
+    const count = readShort(await readFileRange(handle, offset, 2), 0);
+    const entries = await readFileRange(handle, offset + 2, count * 12 + 4);
+    const tags = new Map();
+    for (let i = 0; i < count && (i + 1) * 12 <= entries.length; i++) {
+      const entry = i * 12;
+      const tag = readShort(entries, entry);
+      const type = readShort(entries, entry + 2);
+      const valueCount = readLong(entries, entry + 4);
+      if (!wanted.has(tag) || ![3, 4, 13].includes(type) || valueCount === 0 || valueCount > 64) continue;
+      const valueSize = type === 3 ? 2 : 4;
+      // Values that don't fit in the entry are stored elsewhere
+      const data = valueCount * valueSize <= 4
+        ? entries.subarray(entry + 8, entry + 12)
+        : await readFileRange(handle, readLong(entries, entry + 8), valueCount * valueSize);
+      const values = [];
+      for (let k = 0; (k + 1) * valueSize <= data.length && k < valueCount; k++) {
+        values.push(valueSize === 2 ? readShort(data, k * valueSize) : readLong(data, k * valueSize));
+      }
+      tags.set(tag, values);
+    }
+
+    const first = tag => (tags.get(tag) || [])[0];
+    if (depth === 0 && visited.size === 1) {
+      orientation = first(0x0112);
+    }
+    if (first(0x0201) && first(0x0202)) {
+      previews.push({ offset: first(0x0201), length: first(0x0202) });
+    } else if ([6, 7].includes(first(0x0103)) && (tags.get(0x0111) || []).length === 1 && first(0x0117) &&
+      ![32803, 34892].includes(first(0x0106))) {
+      // Not CFA or linear raw sensor data
+      previews.push({ offset: first(0x0111), length: first(0x0117) });
+    }
+    if (depth < 2) {
+      for (const subIfd of tags.get(0x014a) || []) {
+        await readIfd(subIfd, depth + 1);
+      }
+    }
+    return entries.length >= count * 12 + 4 ? readLong(entries, count * 12) : 0;
+  }
+
+  let next = readLong(header, 4);
+  while (next) {
+    next = await readIfd(next, 0);
+  }
+
+  const decodable = [];
+  for (const preview of previews) {
+    if (preview.offset + preview.length <= fileSize && await isDecodableJpeg(handle, preview.offset, preview.length)) {
+      decodable.push(preview);
+    }
+  }
+  return { previews: decodable, orientation };
+}
+
+/**
+ * Split an ISO media (CR3) buffer into boxes: [{ type, uuid, data }]
+ */
+function parseBoxes(buffer) {
+  const boxes = [];
+  let offset = 0;
+  while (offset + 8 <= buffer.length) {
+    let size = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    let headerSize = 8;
+    if (size === 1 && offset + 16 <= buffer.length) {
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = buffer.length - offset;
+    }
+    if (size < headerSize) break;
+    const uuid = type === 'uuid' ? buffer.toString('hex', offset + headerSize, offset + headerSize + 16) : null;
+    const start = offset + headerSize + (uuid ? 16 : 0);
+    boxes.push({ type, uuid, data: buffer.subarray(start, Math.min(offset + size, buffer.length)) });
+    offset += size;
+  }
+  return boxes;
+}
+
+/**
+ * Read the JPEG preview (PRVW box) and the EXIF blocks (CMT1-CMT4 boxes, each a TIFF) of a Canon CR3 file
+ * The top-level boxes are walked through their headers, so the sensor data in mdat is never read.
+ */
+async function readCr3(handle, fileSize) {
+  let preview = null;
+  const metadata = {};
+  let offset = 0;
+  while (offset + 8 <= fileSize) {
+    const header = await readFileRange(handle, offset, 32);
+    if (header.length < 8) break;
+    let size = header.readUInt32BE(0);
+    const type = header.toString('latin1', 4, 8);
+    let headerSize = 8;
+    if (size === 1 && header.length >= 16) {
+      size = Number(header.readBigUInt64BE(8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = fileSize - offset;
+    }
+    if (size < headerSize) break;
+
+    const uuid = type === 'uuid' ? header.toString('hex', headerSize, headerSize + 16) : null;
+    if ((type === 'moov' || uuid === CR3_PREVIEW_UUID) && size <= MAX_RAW_BOX_BYTES) {
+      const start = headerSize + (uuid ? 16 : 0);
+      const data = await readFileRange(handle, offset + start, size - start);
+      if (type === 'moov') {
+        const canon = parseBoxes(data).find(box => box.uuid === CR3_METADATA_UUID);
+        for (const box of canon ? parseBoxes(canon.data) : []) {
+          if (/^CMT[1-4]$/.test(box.type)) metadata[box.type] = box.data;
+        }
+      } else {
+        // The preview box starts with 8 bytes of its own, then PRVW holds a small header and the JPEG
+        const prvw = parseBoxes(data.subarray(8)).find(box => box.type === 'PRVW');
+        const start = prvw ? prvw.data.indexOf(Buffer.from([0xff, 0xd8, 0xff])) : -1;
+        if (start >= 0) preview = prvw.data.subarray(start);
+      }
+    }
+    offset += size;
+  }
+  return { preview, metadata };
+}
+
+/**
+ * Read an EXIF block without failing on malformed data
+ */
+function readExifBlock(buffer) {
+  try {
+    return buffer ? exifReader(buffer) : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Read the largest embedded JPEG preview of a camera RAW file, with its orientation and EXIF tags
+ * (in exif-reader's { Image, Photo, GPSInfo } form)
+ */
+async function readRawFile(rawPath) {
+  const handle = await fs.promises.open(rawPath, 'r');
+  try {
+    const { size } = await handle.stat();
+    if (path.extname(rawPath).toLowerCase() === '.cr3') {
+      const { preview, metadata } = await readCr3(handle, size);
+      if (!preview) throw new Error('No embedded JPEG preview found');
+      // Each CMT block is a TIFF whose IFD0 holds the tags of one EXIF IFD; exif-reader names them
+      // from the IFD0 table, so the few tags only other IFDs define come back as numbers
+      const image = readExifBlock(metadata.CMT1).Image || {};
+      const photo = readExifBlock(metadata.CMT2).Image || {};
+      const gps = readExifBlock(metadata.CMT4).Image || {};
+      return {
+        preview,
+        orientation: image.Orientation,
+        exif: {
+          Image: image,
+          Photo: { ...photo, LensModel: photo.LensModel || photo[0xa434] },
+          GPSInfo: { GPSLatitudeRef: gps[1], GPSLatitude: gps[2], GPSLongitudeRef: gps[3], GPSLongitude: gps[4] }
+        }
+      };
+    }
+
+    const { previews, orientation } = await readTiffPreviews(handle, size);
+    if (previews.length === 0) throw new Error('No embedded JPEG preview found');
+    const largest = previews.reduce((a, b) => (b.length > a.length ? b : a));
+    return {
+      preview: await readFileRange(handle, largest.offset, largest.length),
+      orientation,
+      exif: readExifBlock(await readFileRange(handle, 0, RAW_HEADER_BYTES))
+    };
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Replace the EXIF block of a JPEG with one holding only an orientation
+ * Embedded previews are stored unrotated and rarely carry the RAW file's orientation; with it,
+ * sharp's metadata() and rotate() treat the preview like any other photo.
+ */
+function setJpegOrientation(jpeg, orientation) {
+  if (!(orientation >= 1 && orientation <= 8)) return jpeg;
+  const tiff = Buffer.from([
+    0x4d, 0x4d, 0x00, 0x2a, 0x00, 0x00, 0x00, 0x08,  // Big-endian TIFF header, IFD0 at 8
+    0x00, 0x01,                                      // One entry:
+    0x01, 0x12, 0x00, 0x03, 0x00, 0x00, 0x00, 0x01,  //   Orientation, SHORT, 1 value
+    0x00, orientation, 0x00, 0x00,
+    0x00, 0x00, 0x00, 0x00                           // No next IFD
+  ]);
+  const exif = Buffer.concat([Buffer.from('Exif\0\0', 'latin1'), tiff]);
+  const segments = [jpeg.subarray(0, 2), Buffer.from([0xff, 0xe1, 0x00, exif.length + 2]), exif];
+
+  // Keep the other APPn/COM segments, drop existing EXIF blocks
+  let offset = 2;
+  while (offset + 4 <= jpeg.length && jpeg[offset] === 0xff &&
+    ((jpeg[offset + 1] >= 0xe0 && jpeg[offset + 1] <= 0xef) || jpeg[offset + 1] === 0xfe)) {
+    const end = offset + 2 + jpeg.readUInt16BE(offset + 2);
+    if (!(jpeg[offset + 1] === 0xe1 && jpeg.toString('latin1', offset + 4, offset + 10) === 'Exif\0\0')) {
+      segments.push(jpeg.subarray(offset, end));
+    }
+    offset = end;
+  }
+  segments.push(jpeg.subarray(offset));
+  return Buffer.concat(segments);
+}
+
+/**
+ * Open a still image with sharp (options: page of a multi-page TIFF)
+ * SVGs are read into memory first, so references to other files or URLs can't be resolved,
+ * and are rendered at a density that gives at least the target width and height.
+ * Camera RAW files are opened as their embedded JPEG preview, tagged with the RAW file's orientation.
+ */
+async function openStillImage(sharp, imagePath, { width = 0, height = 0, page = 0 } = {}) {
+  const ext = path.extname(imagePath).toLowerCase();
+  if (RAW_IMAGE_EXTENSIONS.includes(ext)) {
+    const raw = await readRawFile(imagePath);
+    return sharp(setJpegOrientation(raw.preview, raw.orientation));
+  }
+  if (ext !== '.svg') {
+    return sharp(imagePath, { page });
+  }
+  if (fs.statSync(imagePath).size > MAX_SVG_BYTES) {
+    throw new Error(`SVG larger than ${formatBytes(MAX_SVG_BYTES)}`);
+  }
+  const buffer = fs.readFileSync(imagePath);
+  const metadata = await sharp(buffer).metadata();
+  const scale = Math.max(width / metadata.width, height / metadata.height) || 1;
+  return sharp(buffer, { density: Math.min(Math.max(72 * scale, 1), 100000) });
+}
+
+/**
+ * Tag an error of a sharp toFile call with the stage that failed: 'encode' when libvips could not
+ * encode or write the output, else 'extract' (loading, decoding or resizing the input)
+ */
+function setSharpFailureStage(err) {
+  err.stage = SHARP_ENCODE_ERROR.test(err.message) ? 'encode' : 'extract';
+  return err;
+}
+
+/**
+ * Run a sharp operation on an image; if libvips can't decode it (e.g. HEIC photos when libheif lacks
+ * the HEVC decoder) and ffmpeg is available, run it again on a temporary PNG converted by ffmpeg
+ * run receives the path to read from.
+ */
+async function withFfmpegFallback(imagePath, hasFfmpeg, signal, run) {
+  try {
+    return await run(imagePath);
+  } catch (err) {
+    if (!hasFfmpeg || signal?.aborted || !FFMPEG_IMAGE_EXTENSIONS.includes(path.extname(imagePath).toLowerCase())) {
+      throw err;
+    }
+  }
+  const tempPath = path.join(os.tmpdir(), `gallery-${process.pid}-${crypto.randomBytes(6).toString('hex')}.png`);
+  try {
+    await execFileAsync('ffmpeg', ['-y', '-v', 'error', '-i', imagePath, '-frames:v', '1', tempPath], { timeout: 120000, signal });
+    return await run(tempPath);
+  } finally {
+    fs.rmSync(tempPath, { force: true });
+  }
+}
+
+/**
+ * Read dimensions, orientation and EXIF fields of an image using sharp
+ * Dimensions are reported as displayed, i.e. swapped for EXIF orientations 5-8.
+ * For camera RAW files they are those of the embedded preview, and the EXIF comes from the RAW file.
+ */
+async function getImageMetadata(sharp, imagePath) {
+  const raw = RAW_IMAGE_EXTENSIONS.includes(path.extname(imagePath).toLowerCase()) ? await readRawFile(imagePath) : null;
+  const image = raw ? sharp(setJpegOrientation(raw.preview, raw.orientation)) : await openStillImage(sharp, imagePath);
+  const metadata = await image.metadata();
+  const rotated = metadata.orientation >= 5;
+  const fields = {
+    width: rotated ? metadata.height : metadata.width,
+    height: rotated ? metadata.width : metadata.height
+  };
+  if (metadata.orientation && metadata.orientation !== 1) {
+    fields.orientation = metadata.orientation;
+  }
+  // Multi-page TIFFs (e.g. scans): the lightbox pages through them
+  if (metadata.format === 'tiff' && metadata.pages > 1) {
+    fields.pages = metadata.pages;
+  }
+
+  const exif = raw ? raw.exif : metadata.exif;
+  if (exif) {
+    try {
+      Object.assign(fields, parseExif(exif));
+    } catch {
+      // Malformed EXIF: keep the dimensions only
+    }
+  }
+
+  return fields;
+}
+
+/**
+ * Read duration, resolution, codecs, frame rate and creation time of a video using ffprobe
+ */
+async function getVideoMetadata(videoPath) {
+  const { stdout } = await execFileAsync('ffprobe', [
+    '-v', 'error',
+    '-show_entries', 'stream=codec_type,codec_name,width,height,avg_frame_rate:stream_tags=rotate:format=duration:format_tags=creation_time',
+    '-of', 'json',
+    videoPath
+  ], { timeout: 10000 });
+
+  const probe = JSON.parse(stdout);
+  const streams = probe.streams || [];
+  const stream = streams.find(s => s.codec_type === 'video') || {};
+  const audio = streams.find(s => s.codec_type === 'audio');
+  const format = probe.format || {};
+  const fields = {};
+
+  const duration = parseFloat(format.duration);
+  if (duration > 0) {
+    fields.duration = Number(duration.toFixed(2));
+  }
+
+  if (stream.width && stream.height) {
+    const rotate = Math.abs(parseInt((stream.tags || {}).rotate, 10) || 0);
+    const rotated = rotate === 90 || rotate === 270;
+    fields.width = rotated ? stream.height : stream.width;
+    fields.height = rotated ? stream.width : stream.height;
+  }
+  if (stream.codec_name) {
+    fields.codec = stream.codec_name;
+  }
+  if (audio && audio.codec_name) {
+    fields.audioCodec = audio.codec_name;
+  }
+
+  const [num, den] = (stream.avg_frame_rate || '').split('/').map(Number);
+  if (num > 0 && den > 0) {
+    fields.fps = Number((num / den).toFixed(2));
+  }
+
+  const created = new Date((format.tags || {}).creation_time);
+  if (!isNaN(created.getTime())) {
+    fields.taken = created.toISOString().slice(0, 19);
+  }
+
+  return fields;
+}
+
+/**
+ * Add image/video metadata to each media item
+ * Results are cached in .gallery-data/metadata.json and reused while the content fingerprint is unchanged.
+ * With cachedOnly, only cached metadata is applied and the items still to be read are counted as pending.
+ */
+async function extractMetadata(ctx, media, { cachedOnly = false } = {}) {
+  let sharp = null;
+  try {
+    sharp = require('sharp');
+  } catch {
+    // Image metadata needs sharp; generateThumbnails reports how to install it
+  }
+  // ffprobe reads videos; ffmpeg converts images sharp can't decode (e.g. HEVC-coded HEIC)
+  const hasFfmpeg = media.some(m => m.type === 'video' || FFMPEG_IMAGE_EXTENSIONS.includes(path.extname(m.path).toLowerCase())) &&
+    await checkFfmpegAvailable();
+
+  let cache = {};
+  try {
+    cache = JSON.parse(fs.readFileSync(ctx.paths.metadataCache, 'utf8'));
+  } catch {
+    // No metadata from a previous run
+  }
+
+  const queue = [...media];
+  let read = 0;
+  let failed = 0;
+  let pending = 0;
+
+  async function processOne() {
+    while (queue.length > 0) {
+      const item = queue.shift();
+      const cached = cache[item.path];
+      if (cached && cached.fingerprint === item.fingerprint && cached.version === METADATA_VERSION) {
+        Object.assign(item, cached.metadata);
+        continue;
+      }
+      if (cachedOnly) {
+        pending++;
+        continue;
+      }
+
+      const inputPath = path.join(ctx.inputDir, item.path);
+      let metadata = null;
+      try {
+        if (item.type === 'video') {
+          if (hasFfmpeg) metadata = await getVideoMetadata(inputPath);
+        } else if (sharp) {
+          metadata = await withFfmpegFallback(inputPath, hasFfmpeg, ctx.signal, source => getImageMetadata(sharp, source));
+        }
+      } catch {
+        failed++;
+      }
+
+      if (metadata) {
+        Object.assign(item, metadata);
+        cache[item.path] = { fingerprint: item.fingerprint, version: METADATA_VERSION, metadata };
+        read++;
+      }
+    }
+  }
+
+  const workers = [];
+  for (let i = 0; i < ctx.config.concurrency; i++) {
+    workers.push(processOne());
+  }
+  await Promise.all(workers);
+  if (cachedOnly) {
+    return { read, failed, pending };
+  }
+
+  // Only keep entries for media that still exists
+  const current = {};
+  for (const item of media) {
+    if (cache[item.path]) current[item.path] = cache[item.path];
+  }
+  if (!fs.existsSync(ctx.paths.stateDir)) {
+    fs.mkdirSync(ctx.paths.stateDir, { recursive: true });
+  }
+  fs.writeFileSync(ctx.paths.metadataCache, JSON.stringify(current) + '\n');
+
+  return { read, failed, pending };
+}
+
+/**
+ * Compute a 64-bit difference hash (dHash) from a 9x8 grayscale pixel buffer
+ * Each bit records whether a pixel is brighter than its right-hand neighbour. Flat images (all
+ * samples within FLAT_IMAGE_MAX_RANGE grey levels) get hash 0, as their bits would only be noise.
+ */
+function computeDifferenceHash(pixels) {
+  const samples = pixels.subarray(0, 72);
+  if (Math.max(...samples) - Math.min(...samples) < FLAT_IMAGE_MAX_RANGE) {
+    return '0'.repeat(16);
+  }
+  let hash = 0n;
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      hash = (hash << 1n) | (pixels[y * 9 + x] > pixels[y * 9 + x + 1] ? 1n : 0n);
+    }
+  }
+  return hash.toString(16).padStart(16, '0');
+}
+
+/**
+ * Get the perceptual hash of an image from a sharp pipeline (cloned, so the caller can keep using it)
+ */
+async function getImagePerceptualHash(image) {
+  const pixels = await image.clone()
+    .greyscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+  return computeDifferenceHash(pixels);
+}
+
+/**
+ * Get the perceptual hash of a video from a frame sampled at the middle of the video
+ */
+async function getVideoPerceptualHash(videoPath, signal) {
+  const duration = await getVideoDuration(videoPath, signal);
+
+  const { stdout } = await execFileAsync('ffmpeg', [
+    '-v', 'error',
+    '-ss', (duration / 2).toFixed(3),
+    '-i', videoPath,
+    '-frames:v', '1',
+    '-vf', 'scale=9:8,format=gray',
+    '-f', 'rawvideo',
+    'pipe:1'
+  ], { encoding: 'buffer', timeout: 30000, signal });
+
+  if (stdout.length < 72) {
+    throw new Error('Could not extract video frame');
+  }
+  return computeDifferenceHash(stdout);
+}
+
+/**
+ * Cluster media whose perceptual hashes are within maxDistance bits of a group's representative
+ * Items are taken largest first; each joins the first group whose representative (its largest item)
+ * is close enough, else it represents a new group. Comparing with representatives only keeps
+ * dissimilar items from being chained together through intermediate ones.
+ * Representatives are indexed by hash bands: with maxDistance + 1 bands, two hashes within
+ * maxDistance bits agree on at least one band, so only representatives sharing a band value are
+ * compared. At most SIMILAR_MAX_BANDS bands are used to keep the buckets small, so above
+ * SIMILAR_MAX_BANDS - 1 bits a few pairs that differ in every band can be missed.
+ * Hashes with fewer than SIMILAR_MIN_HASH_BITS set bits (flat, blank or smooth images) are left
+ * out: they are close to each other whatever the images show.
+ * Returns groups of media paths, largest file first.
+ */
+function findSimilarGroups(media, maxDistance) {
+  const setBits = phash => BigInt('0x' + phash).toString(2).replace(/0/g, '').length;
+  const hashed = media
+    .filter(m => m.phash && setBits(m.phash) >= SIMILAR_MIN_HASH_BITS)
+    .sort((a, b) => b.size - a.size);
+  const bandCount = Math.min(maxDistance + 1, SIMILAR_MAX_BANDS);
+  const bandWidth = Math.floor(64 / bandCount);
+  // Hashes as two 32-bit halves: much faster to compare than BigInts
+  const popCount = n => {
+    n -= (n >>> 1) & 0x55555555;
+    n = (n & 0x33333333) + ((n >>> 2) & 0x33333333);
+    return (((n + (n >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+  };
+  const distance = (a, b) => popCount((a.high ^ b.high) >>> 0) + popCount((a.low ^ b.low) >>> 0);
+
+  const groups = [];
+  const index = new Map();  // Band key -> ids of the groups whose representative has it
+  for (const item of hashed) {
+    const hash = { high: parseInt(item.phash.slice(0, 8), 16), low: parseInt(item.phash.slice(8), 16) };
+    const bits = BigInt('0x' + item.phash).toString(2).padStart(64, '0');
+    const keys = Array.from({ length: bandCount }, (_, band) => {
+      const start = band * bandWidth;
+      return band + ':' + bits.slice(start, band === bandCount - 1 ? 64 : start + bandWidth);
+    });
+
+    // The first (lowest id) group whose representative is close enough
+    let match = -1;
+    for (const key of keys) {
+      for (const id of index.get(key) || []) {
+        if ((match < 0 || id < match) && distance(groups[id].hash, hash) <= maxDistance) match = id;
+      }
+    }
+    if (match >= 0) {
+      groups[match].items.push(item);
+      continue;
+    }
+    groups.push({ hash, items: [item] });
+    for (const key of keys) {
+      if (!index.has(key)) index.set(key, []);
+      index.get(key).push(groups.length - 1);
+    }
+  }
+
+  return groups
+    .filter(group => group.items.length > 1)
+    .map(group => group.items.map(item => item.path));
+}
+
+/**
+ * Load perceptual hashes saved by a previous run, keyed by media path
+ */
+function loadPerceptualHashes(ctx) {
+  try {
+    return JSON.parse(fs.readFileSync(ctx.paths.phashCache, 'utf8'));
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Save perceptual hashes for the current media so later runs can skip decoding unchanged files
+ */
+function savePerceptualHashes(ctx, media) {
+  const cache = {};
+  for (const item of media) {
+    if (item.phash) {
+      cache[item.path] = { fingerprint: item.fingerprint, phash: item.phash };
+    }
+  }
+  fs.writeFileSync(ctx.paths.phashCache, JSON.stringify(cache) + '\n');
+}
+
+/**
+ * Generate the similar-data.js file with groups of visually similar media
+ */
+function generateSimilarDataFile(ctx, groups) {
+  if (!fs.existsSync(ctx.paths.dataDir)) {
+    fs.mkdirSync(ctx.paths.dataDir, { recursive: true });
+  }
+
+  const content = `// Auto-generated by generate-gallery.js
+// Similar groups: ${groups.length} (max Hamming distance ${ctx.options.similarity})
+// Generated: ${new Date().toISOString()}
+
+const SIMILAR_GROUPS = ${JSON.stringify(groups, null, 2)};
+`;
+
+  writeFileAtomic(ctx.paths.similarData, content);
+}
+
+/**
+ * Build the folder hierarchy of the gallery
+ * Each folder records its direct item count, its total including subfolders and a cover:
+ * the first image in gallery order within the folder's subtree (or the first video if it has no images).
+ */
+function buildFolderIndex(media) {
+  const folders = new Map();
+  const getFolder = folderPath => {
+    if (!folders.has(folderPath)) {
+      folders.set(folderPath, { path: folderPath, count: 0, total: 0, cover: null });
+    }
+    return folders.get(folderPath);
+  };
+  const parentOf = folderPath => {
+    const parent = path.dirname(folderPath);
+    return parent === '.' ? '' : parent;
+  };
+
+  getFolder('');
+  for (const item of media) {
+    let folderPath = parentOf(item.path);
+    getFolder(folderPath).count++;
+
+    // Count the item in every ancestor folder
+    for (;;) {
+      const folder = getFolder(folderPath);
+      folder.total++;
+      if (!folder.cover || (folder.cover.type === 'video' && item.type !== 'video')) {
+        folder.cover = item;
+      }
+      if (folderPath === '') break;
+      folderPath = parentOf(folderPath);
+    }
+  }
+
+  return [...folders.values()]
+    .sort((a, b) => compareText(a.path, b.path))
+    .map(folder => ({ ...folder, cover: folder.cover ? folder.cover.path : null }));
+}
+
+/**
+ * Generate the images-data.js file
+ */
+function generateDataFile(ctx, media) {
+  const imageCount = media.filter(m => m.type === 'image').length;
+  const videoCount = media.filter(m => m.type === 'video').length;
+  const folders = buildFolderIndex(media);
+  const entries = media.map(item => {
+    const entry = { ...item };
+    if (ctx.config.videoProxies !== 'off' && needsVideoProxy(item)) {
+      entry.proxy = true;
+    } else {
+      const previews = getPreviewWidths(item, ctx.config);
+      if (previews.length > 0) entry.previews = previews;
+      if (previews.length > 0 && isConvertedImage(item)) entry.converted = true;
+    }
+    // Left out of a web-only export: the viewer only uses its renditions or proxy
+    if (!isOriginalExported(ctx, item)) entry.original = false;
+    return entry;
+  });
+
+  // Ensure .gallery-data directory exists
+  if (!fs.existsSync(ctx.paths.dataDir)) {
+    fs.mkdirSync(ctx.paths.dataDir, { recursive: true });
+  }
+
+  const content = `// Auto-generated by generate-gallery.js
+// Total media: ${media.length} (${imageCount} images, ${videoCount} videos)
+// Generated: ${new Date().toISOString()}
+
+const IMAGES = ${JSON.stringify(entries, (key, value) => (key === 'phash' || key === 'fingerprint' ? undefined : value), 2)};
+
+const FOLDERS = ${JSON.stringify(folders, null, 2)};
+`;
+
+  // Atomic so an open gallery never loads a half-written file
+  writeFileAtomic(ctx.paths.dataFile, content);
+  ctx.log(`Generated ${path.relative(process.cwd(), ctx.paths.dataFile)} with ${imageCount} images and ${videoCount} videos`);
+}
+
+/**
+ * Generate the gallery.html file
+ */
+function generateHtmlFile(ctx) {
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${ctx.options.title}</title>
+  <style>
+    :root {
+      --cols: 5;
+      --rows: 3;
+    }
+
+    * {
+      margin: 0;
+      padding: 0;
+      box-sizing: border-box;
+    }
+
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      background: #1a1a2e;
+      color: #eee;
+      height: 100vh;
+      overflow: hidden;
+    }
+
+    .header {
+      background: #16213e;
+      padding: 1rem 2rem;
+      position: sticky;
+      top: 0;
+      z-index: 100;
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      flex-wrap: wrap;
+      gap: 1rem;
+    }
+
+    .header h1 {
+      font-size: 1.5rem;
+      font-weight: 500;
+    }
+
+    .header-info {
+      display: flex;
+      gap: 2rem;
+      align-items: center;
+      flex-wrap: wrap;
+    }
+
+    .pagination {
+      display: flex;
+      align-items: center;
+      gap: 0.5rem;
+    }
+
+    .pagination button {
+      background: #0f3460;
+      border: none;
+      color: #eee;
+      padding: 0.5rem 1rem;
+      border-radius: 4px;
+      cursor: pointer;
+      font-size: 1rem;
+      transition: background 0.2s;
+    }
+
+    .pagination button:hover:not(:disabled) {
+      background: #e94560;
+    }
+
+    .pagination button:disabled {
+      opacity: 0.5;
+      cursor: not-allowed;
+    }
+
+    .pagination .page-info {
+      padding: 0 1rem;
+      min-width: 120px;
+      text-align: center;
+    }
+
+    .view-toggle {
+      background: #0f3460;
+      border: none;
+      color: #eee;
+      padding: 0.5rem 1rem;
+      border-radius: 4px;
+      cursor: pointer;
+      font-size: 1rem;
+      transition: background 0.2s;
+    }
+
+    .view-toggle:hover,
+    .view-toggle.active {
+      background: #e94560;
+    }
+
+    .sort-controls {
+      display: flex;
+      gap: 0.5rem;
+    }
+
+    .sort-controls select,
+    .sort-controls button {
+      background: #0f3460;
+      border: none;
+      color: #eee;
+      padding: 0.5rem;
+      border-radius: 4px;
+      cursor: pointer;
+      font-size: 1rem;
+    }
+
+    .sort-controls button {
+      width: 2.5rem;
+      transition: background 0.2s;
+    }
+
+    .sort-controls button:hover {
+      background: #e94560;
+    }
+
+    .size-controls {
+      display: flex;
+      gap: 0.25rem;
+    }
+
+    .size-controls button {
+      background: #0f3460;
+      border: none;
+      color: #eee;
+      padding: 0.5rem;
+      border-radius: 4px;
+      cursor: pointer;
+      font-size: 1rem;
+      min-width: 2.25rem;
+      transition: background 0.2s;
+    }
+
+    .size-controls button:hover,
+    .size-controls button.active {
+      background: #e94560;
+    }
+
+    .shortcuts {
+      font-size: 0.85rem;
+      color: #888;
+    }
+
+    .shortcuts kbd {
+      background: #0f3460;
+      padding: 0.2rem 0.5rem;
+      border-radius: 3px;
+      font-family: monospace;
+    }
+
+    .folder-bar {
+      flex-basis: 100%;
+      display: flex;
+      align-items: center;
+      gap: 1rem;
+      flex-wrap: wrap;
+      font-size: 0.9rem;
+    }
+
+    .folder-bar button {
+      background: none;
+      border: none;
+      color: #eee;
+      cursor: pointer;
+      font-size: 0.9rem;
+    }
+
+    .breadcrumbs button:hover {
+      color: #e94560;
+    }
+
+    .breadcrumbs .separator {
+      color: #888;
+      margin: 0 0.25rem;
+    }
+
+    .breadcrumbs .current {
+      color: #e94560;
+    }
+
+    .subfolders {
+      display: flex;
+      gap: 0.5rem;
+      flex-wrap: wrap;
+    }
+
+    .subfolders button.folder-chip {
+      display: flex;
+      align-items: center;
+      gap: 0.4rem;
+      background: #0f3460;
+      padding: 0.2rem 0.6rem 0.2rem 0.2rem;
+      border-radius: 4px;
+      transition: background 0.2s;
+    }
+
+    .subfolders button.folder-chip:hover {
+      background: #e94560;
+    }
+
+    .folder-chip img {
+      width: 24px;
+      height: 24px;
+      object-fit: cover;
+      border-radius: 3px;
+    }
+
+    .folder-chip .count {
+      color: #888;
+    }
+
+    .subfolder-toggle {
+      color: #888;
+      cursor: pointer;
+      margin-left: auto;
+    }
+
+    .filter-bar {
+      flex-basis: 100%;
+      display: none;
+      align-items: center;
+      gap: 0.5rem;
+      font-size: 0.85rem;
+      color: #888;
+    }
+
+    .filter-bar.active {
+      display: flex;
+    }
+
+    .filter-bar input {
+      flex: 1;
+      max-width: 40rem;
+      background: #0f3460;
+      border: 1px solid transparent;
+      color: #eee;
+      padding: 0.4rem 0.6rem;
+      border-radius: 4px;
+      font-size: 0.95rem;
+      font-family: monospace;
+      outline: none;
+    }
+
+    .filter-bar input:focus {
+      border-color: #e94560;
+    }
+
+    .filter-bar button {
+      background: none;
+      border: none;
+      color: #eee;
+      font-size: 1.2rem;
+      cursor: pointer;
+    }
+
+    .gallery {
+      display: grid;
+      grid-template-columns: repeat(var(--cols), 1fr);
+      grid-template-rows: repeat(var(--rows), 1fr);
+      gap: 1rem;
+      padding: 1rem;
+      height: calc(100vh - var(--header-height, 60px));
+      height: calc(100dvh - var(--header-height, 60px));
+      overflow: hidden;
+    }
+
+    .thumbnail {
+      aspect-ratio: 1;
+      overflow: hidden;
+      border-radius: 8px;
+      cursor: pointer;
+      position: relative;
+      background: #16213e;
+      transition: transform 0.2s, box-shadow 0.2s;
+    }
+
+    .thumbnail:hover {
+      transform: scale(1.02);
+      box-shadow: 0 4px 20px rgba(233, 69, 96, 0.3);
+    }
+
+    .thumbnail.cursor {
+      box-shadow: 0 0 0 6px #e94560;
+    }
+
+    .thumbnail img {
+      width: 100%;
+      height: 100%;
+      object-fit: cover;
+      transition: opacity 0.3s;
+    }
+
+    .thumbnail img.loading {
+      opacity: 0;
+    }
+
+    .thumbnail .size-badge {
+      position: absolute;
+      bottom: 0.5rem;
+      right: 0.5rem;
+      background: rgba(0, 0, 0, 0.7);
+      padding: 0.2rem 0.5rem;
+      border-radius: 3px;
+      font-size: 0.75rem;
+    }
+
+    .thumbnail .index-badge {
+      position: absolute;
+      top: 0.5rem;
+      left: 0.5rem;
+      background: rgba(233, 69, 96, 0.8);
+      padding: 0.2rem 0.5rem;
+      border-radius: 3px;
+      font-size: 0.75rem;
+    }
+
+    .thumbnail .raw-badge {
+      position: absolute;
+      bottom: 0.5rem;
+      left: 0.5rem;
+      background: rgba(0, 0, 0, 0.7);
+      color: #8fd3ff;
+      padding: 0.2rem 0.5rem;
+      border-radius: 3px;
+      font-size: 0.7rem;
+      font-weight: 600;
+    }
+
+    .thumbnail .video-badges {
+      position: absolute;
+      bottom: 0.5rem;
+      left: 0.5rem;
+      display: flex;
+      gap: 0.25rem;
+    }
+
+    .thumbnail .video-badges span {
+      background: rgba(0, 0, 0, 0.7);
+      padding: 0.2rem 0.5rem;
+      border-radius: 3px;
+      font-size: 0.75rem;
+    }
+
+    .thumbnail .failed-badge {
+      position: absolute;
+      top: 0.5rem;
+      right: 0.5rem;
+      background: rgba(0, 0, 0, 0.7);
+      color: #f5a623;
+      padding: 0.1rem 0.4rem;
+      border-radius: 3px;
+      font-size: 0.85rem;
+    }
+
+    .thumbnail .play-indicator {
+      position: absolute;
+      top: 50%;
+      left: 50%;
+      transform: translate(-50%, -50%);
+      font-size: 3rem;
+      color: rgba(255, 255, 255, 0.85);
+      text-shadow: 0 2px 10px rgba(0, 0, 0, 0.5);
+      pointer-events: none;
+      transition: transform 0.2s, color 0.2s;
+    }
+
+    .thumbnail:hover .play-indicator {
+      transform: translate(-50%, -50%) scale(1.1);
+      color: #e94560;
+    }
+
+    /* Similar items review */
+    .similar-view {
+      display: none;
+      height: calc(100vh - var(--header-height, 60px));
+      overflow-y: auto;
+      padding: 1rem;
+    }
+
+    .similar-view.active {
+      display: block;
+    }
+
+    .similar-group {
+      margin-bottom: 2rem;
+    }
+
+    .similar-group h2 {
+      font-size: 1rem;
+      font-weight: 500;
+      color: #888;
+      margin-bottom: 0.5rem;
+    }
+
+    .similar-items {
+      display: flex;
+      gap: 1rem;
+      overflow-x: auto;
+      padding-bottom: 0.5rem;
+    }
+
+    .similar-item {
+      flex: 0 0 200px;
+      cursor: pointer;
+    }
+
+    .similar-item img {
+      width: 200px;
+      height: 200px;
+      object-fit: cover;
+      border-radius: 8px;
+      background: #16213e;
+      transition: box-shadow 0.2s;
+    }
+
+    .similar-item:hover img {
+      box-shadow: 0 0 0 3px #e94560;
+    }
+
+    .similar-item figcaption {
+      margin-top: 0.25rem;
+      font-size: 0.8rem;
+    }
+
+    .similar-item .size.largest {
+      color: #e94560;
+    }
+
+    .similar-item .path {
+      display: block;
+      font-family: monospace;
+      color: #888;
+      word-break: break-all;
+    }
+
+    /* Lightbox */
+    .lightbox {
+      display: none;
+      position: fixed;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+      background: rgba(0, 0, 0, 0.95);
+      z-index: 1000;
+      justify-content: center;
+      align-items: center;
+      overflow: hidden;
+      touch-action: none;  /* Swipes and pinches are handled by the viewer */
+    }
+
+    .lightbox.active {
+      display: flex;
+    }
+
+    .lightbox-content {
+      position: relative;
+      max-width: 95vw;
+      max-height: 95vh;
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+    }
+
+    .lightbox-content img {
+      max-width: 95vw;
+      max-height: 85vh;
+      object-fit: contain;
+      transform-origin: 0 0;
+    }
+
+    .lightbox-content img.zoomed {
+      cursor: grab;
+      touch-action: none;
+    }
+
+    .lightbox-content img.panning {
+      cursor: grabbing;
+    }
+
+    .lightbox-content video {
+      max-width: 95vw;
+      max-height: 85vh;
+      outline: none;
+    }
+
+    .lightbox-info {
+      margin-top: 1rem;
+      text-align: center;
+      color: #888;
+    }
+
+    .lightbox-info .path {
+      font-family: monospace;
+      font-size: 0.85rem;
+      word-break: break-all;
+      max-width: 90vw;
+    }
+
+    .lightbox-info .position {
+      margin-top: 0.5rem;
+      color: #e94560;
+    }
+
+    .lightbox-info .pages button {
+      background: none;
+      border: 1px solid #444;
+      border-radius: 4px;
+      color: #eee;
+      padding: 0 0.5rem;
+      cursor: pointer;
+    }
+
+    .lightbox-info .pages button:disabled {
+      opacity: 0.3;
+      cursor: default;
+    }
+
+    .lightbox-info .duplicates {
+      margin-top: 0.5rem;
+      font-family: monospace;
+      font-size: 0.8rem;
+      white-space: pre-line;
+      word-break: break-all;
+      max-width: 90vw;
+    }
+
+    .lightbox-close {
+      position: absolute;
+      top: 1rem;
+      right: 1rem;
+      background: none;
+      border: none;
+      color: #eee;
+      font-size: 2rem;
+      cursor: pointer;
+      z-index: 1001;
+      width: 50px;
+      height: 50px;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      border-radius: 50%;
+      transition: background 0.2s;
+    }
+
+    .lightbox-close:hover {
+      background: rgba(255, 255, 255, 0.1);
+    }
+
+    .lightbox-info-toggle {
+      position: absolute;
+      top: 1rem;
+      right: 4.5rem;
+      background: none;
+      border: none;
+      color: #eee;
+      font-size: 1.5rem;
+      cursor: pointer;
+      z-index: 1001;
+      width: 50px;
+      height: 50px;
+      border-radius: 50%;
+      transition: background 0.2s;
+    }
+
+    .lightbox-info-toggle:hover,
+    .lightbox-info-toggle.active {
+      background: rgba(233, 69, 96, 0.5);
+    }
+
+    .lightbox-original {
+      position: absolute;
+      top: 1rem;
+      right: 8rem;
+      color: #eee;
+      font-size: 1.5rem;
+      text-decoration: none;
+      z-index: 1001;
+      width: 50px;
+      height: 50px;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      border-radius: 50%;
+      transition: background 0.2s;
+    }
+
+    .lightbox-original:hover {
+      background: rgba(255, 255, 255, 0.1);
+    }
+
+    .lightbox-slideshow-toggle {
+      position: absolute;
+      top: 1rem;
+      right: 11.5rem;
+      background: none;
+      border: none;
+      color: #eee;
+      font-size: 1.3rem;
+      cursor: pointer;
+      z-index: 1001;
+      width: 50px;
+      height: 50px;
+      border-radius: 50%;
+      transition: background 0.2s;
+    }
+
+    .lightbox-slideshow-toggle:hover,
+    .lightbox.slideshow .lightbox-slideshow-toggle {
+      background: rgba(233, 69, 96, 0.5);
+    }
+
+    .slideshow-bar {
+      display: none;
+      position: absolute;
+      bottom: 1rem;
+      left: 50%;
+      transform: translateX(-50%);
+      align-items: center;
+      gap: 0.75rem;
+      background: rgba(22, 33, 62, 0.9);
+      border-radius: 8px;
+      padding: 0.4rem 0.75rem;
+      z-index: 1001;
+      font-size: 0.85rem;
+      white-space: nowrap;
+    }
+
+    .lightbox.slideshow .slideshow-bar {
+      display: flex;
+    }
+
+    .slideshow-bar button,
+    .slideshow-bar select {
+      background: none;
+      border: 1px solid #444;
+      border-radius: 4px;
+      color: #eee;
+      padding: 0.2rem 0.5rem;
+      cursor: pointer;
+    }
+
+    .slideshow-bar select option {
+      background: #16213e;
+    }
+
+    .slideshow-bar button:hover,
+    .slideshow-bar button.active {
+      background: rgba(233, 69, 96, 0.5);
+    }
+
+    .slideshow-bar label {
+      display: flex;
+      align-items: center;
+      gap: 0.25rem;
+      cursor: pointer;
+    }
+
+    .lightbox.slideshow > button,
+    .lightbox.slideshow > a,
+    .lightbox.slideshow .slideshow-bar,
+    .lightbox.slideshow .lightbox-info {
+      transition: opacity 0.5s;
+    }
+
+    /* A running slideshow hides its controls and the pointer while the pointer rests */
+    .lightbox.slideshow.idle {
+      cursor: none;
+    }
+
+    .lightbox.slideshow.idle > button,
+    .lightbox.slideshow.idle > a,
+    .lightbox.slideshow.idle .slideshow-bar,
+    .lightbox.slideshow.idle .lightbox-info {
+      opacity: 0;
+      pointer-events: none;
+    }
+
+    .lightbox-details {
+      display: none;
+      position: absolute;
+      top: 5rem;
+      right: 1rem;
+      width: 300px;
+      max-height: calc(100vh - 6rem);
+      overflow-y: auto;
+      background: rgba(22, 33, 62, 0.95);
+      border-radius: 8px;
+      padding: 1rem;
+      z-index: 1001;
+      font-size: 0.85rem;
+    }
+
+    .lightbox-details.active {
+      display: block;
+      touch-action: pan-y;
+    }
+
+    .lightbox-details dt {
+      color: #888;
+      margin-top: 0.5rem;
+    }
+
+    .lightbox-details dt:first-child {
+      margin-top: 0;
+    }
+
+    .lightbox-details dd {
+      word-break: break-word;
+    }
+
+    .lightbox-details a {
+      color: #e94560;
+    }
+
+    .lightbox-nav {
+      position: absolute;
+      top: 50%;
+      transform: translateY(-50%);
+      background: rgba(255, 255, 255, 0.1);
+      border: none;
+      color: #eee;
+      font-size: 2rem;
+      cursor: pointer;
+      padding: 1rem;
+      z-index: 1001;
+      border-radius: 4px;
+      transition: background 0.2s;
+    }
+
+    .lightbox-nav:hover {
+      background: rgba(233, 69, 96, 0.5);
+    }
+
+    .lightbox-nav.prev {
+      left: 1rem;
+    }
+
+    .lightbox-nav.next {
+      right: 1rem;
+    }
+
+    .loading-spinner {
+      position: absolute;
+      top: 50%;
+      left: 50%;
+      transform: translate(-50%, -50%);
+      width: 40px;
+      height: 40px;
+      border: 3px solid #333;
+      border-top-color: #e94560;
+      border-radius: 50%;
+      animation: spin 1s linear infinite;
+    }
+
+    @keyframes spin {
+      to { transform: translate(-50%, -50%) rotate(360deg); }
+    }
+
+    .no-images {
+      text-align: center;
+      padding: 4rem 2rem;
+      color: #888;
+    }
+
+    /* Narrow screens: calculateLayout reads the gallery's gap and padding, and scales the size presets */
+    @media (max-width: 600px) {
+      .header {
+        padding: 0.75rem 1rem;
+        gap: 0.5rem;
+      }
+
+      .header h1 {
+        font-size: 1.2rem;
+      }
+
+      .header-info {
+        gap: 0.5rem 1rem;
+      }
+
+      .gallery {
+        gap: 0.5rem;
+        padding: 0.5rem;
+      }
+
+      .shortcuts {
+        display: none;
+      }
+
+      .slideshow-bar {
+        flex-wrap: wrap;
+        justify-content: center;
+        max-width: calc(100vw - 2rem);
+      }
+
+      .lightbox-details {
+        width: auto;
+        left: 1rem;
+      }
+    }
+
+    /* Touch screens: finger-sized controls, no keyboard hints */
+    @media (pointer: coarse) {
+      .pagination button,
+      .view-toggle,
+      .sort-controls select,
+      .sort-controls button,
+      .size-controls button,
+      .filter-bar button,
+      .slideshow-bar button,
+      .slideshow-bar select,
+      .lightbox-info .pages button {
+        min-width: 44px;
+        min-height: 44px;
+      }
+
+      .folder-bar button {
+        padding: 0.5rem 0.25rem;
+      }
+
+      .subfolder-toggle input {
+        width: 1.25rem;
+        height: 1.25rem;
+      }
+
+      .shortcuts {
+        display: none;
+      }
+    }
+  </style>
+</head>
+<body>
+  <header class="header">
+    <h1>${ctx.options.title}</h1>
+    <div class="header-info">
+      <span id="total-info"></span>
+      <button class="view-toggle" id="similar-btn" onclick="toggleSimilarView()" style="display: none;">Similar</button>
+      <button class="view-toggle" id="slideshow-btn" onclick="startSlideshow(); this.blur();" title="Slideshow (P)">&#9654; Slideshow</button>
+      <button class="view-toggle" id="filter-btn" onclick="openFilterBar()" title="Filter (/)">Filter</button>
+      <div class="size-controls" id="size-controls">
+        <button onclick="setSizePreset('S'); this.blur();" data-size="S" title="Small thumbnails (S)">S</button>
+        <button onclick="setSizePreset('M'); this.blur();" data-size="M" title="Medium thumbnails (M)">M</button>
+        <button onclick="setSizePreset('L'); this.blur();" data-size="L" title="Large thumbnails (L)">L</button>
+      </div>
+      <div class="sort-controls">
+        <select id="sort-select" onchange="setSort(this.value, sortOrder); this.blur();" title="Sort by">
+          <option value="name">Name</option>
+          <option value="path">Path</option>
+          <option value="size">Size</option>
+          <option value="mtime">Modified</option>
+          <option value="taken">Captured</option>
+          <option value="type">Type</option>
+          <option value="random">Shuffle</option>
+        </select>
+        <button id="sort-order-btn" onclick="setSort(sortKey, sortOrder === 'asc' ? 'desc' : 'asc'); this.blur();"></button>
+      </div>
+      <div class="pagination">
+        <button id="prev-btn" onclick="prevPage()">&larr; Prev</button>
+        <span class="page-info" id="page-info"></span>
+        <button id="next-btn" onclick="nextPage()">Next &rarr;</button>
+      </div>
+      <div class="shortcuts">
+        <kbd>&larr;</kbd> <kbd>&rarr;</kbd> navigate &nbsp; <kbd>/</kbd> filter
+      </div>
+    </div>
+    <div class="filter-bar" id="filter-bar">
+      <input type="text" id="filter-input" placeholder="Filter: text, *.glob, type:image|video|gif|raw, ext:jpg,png, size:>1MB, size:100KB-2MB, -exclude" spellcheck="false" autocomplete="off">
+      <button onclick="clearFilter()" title="Clear filter">&times;</button>
+      <span>Enter to browse, Esc to close</span>
+    </div>
+    <nav class="folder-bar" id="folder-bar" style="display: none;">
+      <div class="breadcrumbs" id="breadcrumbs"></div>
+      <div class="subfolders" id="subfolders"></div>
+      <label class="subfolder-toggle">
+        <input type="checkbox" id="include-subfolders" checked onchange="setIncludeSubfolders(this.checked); this.blur();">
+        Include subfolders
+      </label>
+    </nav>
+  </header>
+
+  <main class="gallery" id="gallery"></main>
+  <main class="similar-view" id="similar-view"></main>
+
+  <div class="lightbox" id="lightbox">
+    <button class="lightbox-close" onclick="closeLightbox()">&times;</button>
+    <button class="lightbox-info-toggle" id="lightbox-info-toggle" onclick="toggleLightboxDetails()" title="Info (I)">&#9432;</button>
+    <a class="lightbox-original" id="lightbox-original" href="" target="_blank" rel="noopener" title="Open original (O)">&#8599;</a>
+    <button class="lightbox-slideshow-toggle" onclick="toggleSlideshow()" title="Slideshow (P)">&#9654;</button>
+    <dl class="lightbox-details" id="lightbox-details"></dl>
+    <button class="lightbox-nav prev" onclick="lightboxPrev()">&larr;</button>
+    <button class="lightbox-nav next" onclick="lightboxNext()">&rarr;</button>
+    <div class="lightbox-content">
+      <div class="loading-spinner" id="lightbox-spinner"></div>
+      <img id="lightbox-img" src="" alt="" draggable="false">
+      <video id="lightbox-video" controls style="display: none;">
+        Your browser does not support the video tag.
+      </video>
+      <div class="lightbox-info">
+        <div class="path" id="lightbox-path"></div>
+        <div class="position" id="lightbox-position"></div>
+        <div class="size" id="lightbox-size"></div>
+        <div class="pages" id="lightbox-pages"></div>
+        <div class="duplicates" id="lightbox-duplicates"></div>
+      </div>
+    </div>
+    <div class="slideshow-bar" id="slideshow-bar">
+      <button id="slideshow-pause" onclick="toggleSlideshowPause()" title="Pause (Space)"></button>
+      <select id="slideshow-interval" onchange="slideshowInterval = Number(this.value); scheduleSlideshow(); this.blur();" title="Seconds per image"></select>
+      <label title="Random order"><input type="checkbox" id="slideshow-shuffle" onchange="setSlideshowShuffle(this.checked); this.blur();"> Shuffle</label>
+      <label title="Start over after the last item"><input type="checkbox" id="slideshow-loop" onchange="slideshowLoop = this.checked; this.blur();"> Loop</label>
+      <button id="fullscreen-btn" onclick="toggleFullscreen(); this.blur();" title="Fullscreen (F)">&#x26F6;</button>
+      <button onclick="stopSlideshow()" title="Stop slideshow (P)">&#9632;</button>
+    </div>
+  </div>
+
+  ${getDataScripts(ctx)}
+  <script>
+    // Base path for media files (relative to gallery.html)
+    const MEDIA_BASE = '${ctx.mediaBasePath === '.' ? '' : ctx.mediaBasePath + '/'}';
+    const PREVIEW_EXT = '${ctx.config.previewFormat === 'jpeg' ? '.jpg' : '.webp'}';
+    const RAW_EXTENSIONS = ${JSON.stringify(RAW_IMAGE_EXTENSIONS)};
+    const PROXY_EXT = '${ctx.config.videoProxies === 'vp9' ? '.webm' : '.mp4'}';
+    const SLIDESHOW_INTERVAL = ${ctx.config.slideshowInterval};
+    const SLIDESHOW_VIDEO_LIMIT = ${ctx.config.slideshowVideoLimit};
+
+    // Size presets and layout state
+    const SIZE_PRESETS = ${JSON.stringify(ctx.config.sizePresets)};
+    let sizePreset = 'M';
+    let itemsPerPage = 15;
+
+    // State
+    let currentPage = 0;
+    let currentLightboxIndex = -1;
+    let lightboxActive = false;
+    let cursorIndex = -1;  // -1 = cursor hidden
+    let lastCursorPos = 0;  // Remember position within page
+    let similarViewActive = false;
+    let lightboxGroup = null;  // Similar group the lightbox steps through instead of the grid
+    let lightboxDetailsVisible = false;
+    let lightboxPage = 0;  // Page of a multi-page image shown in the lightbox
+    let zoomScale = 1;  // Lightbox image zoom relative to its fitted size, panned by zoomX/zoomY pixels
+    let zoomX = 0;
+    let zoomY = 0;
+
+    // Sort state (IMAGES is written in this order by the generator)
+    const SORT_SEED = ${JSON.stringify(ctx.sortSeed)};
+    let sortKey = '${ctx.options.sort}';
+    let sortOrder = '${ctx.sortOrder}';
+
+    // Groups of similar media paths (similar-data.js is written once thumbnails are done)
+    const SIMILAR = typeof SIMILAR_GROUPS !== 'undefined' ? SIMILAR_GROUPS : [];
+
+    // Items whose thumbnail could not be generated, by path (failures-data.js)
+    const FAILURES = typeof THUMBNAIL_FAILURES !== 'undefined' ? THUMBNAIL_FAILURES : {};
+
+    // Folder navigation: the grid, pagination and lightbox only cover viewItems
+    const FOLDER_LIST = typeof FOLDERS !== 'undefined' ? FOLDERS : [];
+    let currentFolder = '';
+    let includeSubfolders = true;
+    let activeFilter = null;  // Parsed filter bar query, null = show everything
+    let viewItems = IMAGES;
+
+    // Dynamic total pages
+    function getTotalPages() {
+      return Math.max(1, Math.ceil(viewItems.length / itemsPerPage));
+    }
+
+    // Format bytes
+    function formatBytes(bytes) {
+      if (bytes === 0) return '0 B';
+      const k = 1024;
+      const sizes = ['B', 'KB', 'MB', 'GB'];
+      const i = Math.floor(Math.log(bytes) / Math.log(k));
+      return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+    }
+
+    // Escape text for insertion into HTML
+    function escapeHtml(text) {
+      return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+    }
+
+    // Format seconds as m:ss or h:mm:ss
+    function formatDuration(seconds) {
+      const total = Math.round(seconds);
+      const h = Math.floor(total / 3600);
+      const m = Math.floor((total % 3600) / 60);
+      const s = String(total % 60).padStart(2, '0');
+      return h > 0 ? \`\${h}:\${String(m).padStart(2, '0')}:\${s}\` : \`\${m}:\${s}\`;
+    }
+
+    // Resolution class of a video from its shorter side: 4K, 1080p, 720p...
+    function formatResolution(width, height) {
+      const short = Math.min(width, height);
+      if (short >= 4320) return '8K';
+      if (short >= 2160) return '4K';
+      return short + 'p';
+    }
+
+    // Hash a string to a 16-character hex string (64-bit)
+    function hashPath(str) {
+      let h1 = 5381, h2 = 52711;
+      for (let i = 0; i < str.length; i++) {
+        const c = str.charCodeAt(i);
+        h1 = ((h1 << 5) + h1) ^ c;
+        h2 = ((h2 << 5) + h2) ^ c;
+      }
+      return (h1 >>> 0).toString(16).padStart(8, '0') +
+             (h2 >>> 0).toString(16).padStart(8, '0');
+    }
+
+    // Get thumbnail path for a media file (hash-based)
+    function getThumbnailPath(mediaPath, mediaType) {
+      const ext = mediaPath.slice(mediaPath.lastIndexOf('.')).toLowerCase();
+      // Videos and GIFs get animated WebP thumbnails; PNGs and SVGs keep their transparency
+      const thumbExt = (mediaType === 'video' || ext === '.gif') ? '.webp' : (ext === '.png' || ext === '.svg' ? '.png' : '.jpg');
+      const hash = hashPath(mediaPath);
+      return '.gallery-data/thumbnails/' + hash[0] + '/' + hash[1] + '/' + hash + thumbExt;
+    }
+
+    // Still poster frame of a video, shown until the animated thumbnail plays
+    function getPosterPath(mediaPath) {
+      const hash = hashPath(mediaPath);
+      return '.gallery-data/thumbnails/' + hash[0] + '/' + hash[1] + '/' + hash + '-poster.jpg';
+    }
+
+    // Lightbox rendition of an image at one of the widths listed in media.previews
+    function getPreviewPath(mediaPath, width, page = 0) {
+      const hash = hashPath(mediaPath);
+      const name = page > 0 ? hash + '-p' + page + '-' + width : hash + '-' + width;
+      return '.gallery-data/previews/' + hash[0] + '/' + hash[1] + '/' + name + PREVIEW_EXT;
+    }
+
+    // Web-playable transcode of a video flagged with media.proxy
+    function getProxyPath(mediaPath) {
+      const hash = hashPath(mediaPath);
+      return '.gallery-data/proxies/' + hash[0] + '/' + hash[1] + '/' + hash + PROXY_EXT;
+    }
+
+    // Image shown when a thumbnail is missing; browsers can't display converted formats, so use a rendition
+    function getFallbackPath(media) {
+      return hasRenditionsOnly(media) ? getPreviewPath(media.path, media.previews[0]) : MEDIA_BASE + media.path;
+    }
+
+    // Converted images, and images whose original was left out of a web-only export, are shown through their renditions
+    function hasRenditionsOnly(media) {
+      return Boolean(media.previews) && (media.converted || media.original === false);
+    }
+
+    // Natural, case-insensitive string comparison
+    function compareText(a, b) {
+      return a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' });
+    }
+
+    function getCaptureDate(media) {
+      return media.taken || new Date(media.mtime).toISOString().slice(0, 19);
+    }
+
+    // Same ordering as the generator's compareMedia
+    function compareMedia(a, b, key) {
+      const name = p => p.slice(p.lastIndexOf('/') + 1);
+      const ext = p => p.slice(p.lastIndexOf('.')).toLowerCase();
+      let result = 0;
+      switch (key) {
+        case 'name':
+          result = compareText(name(a.path), name(b.path));
+          break;
+        case 'size':
+          result = a.size - b.size;
+          break;
+        case 'mtime':
+          result = a.mtime - b.mtime;
+          break;
+        case 'taken':
+          result = getCaptureDate(a).localeCompare(getCaptureDate(b));
+          break;
+        case 'type':
+          result = a.type.localeCompare(b.type) || ext(a.path).localeCompare(ext(b.path));
+          break;
+        case 'random':
+          result = hashPath(SORT_SEED + a.path).localeCompare(hashPath(SORT_SEED + b.path));
+          break;
+      }
+      return result || compareText(a.path, b.path);
+    }
+
+    function updateSortControls() {
+      document.getElementById('sort-select').value = sortKey;
+      const button = document.getElementById('sort-order-btn');
+      button.innerHTML = sortOrder === 'asc' ? '&uarr;' : '&darr;';
+      button.title = sortOrder === 'asc' ? 'Ascending' : 'Descending';
+    }
+
+    function applySort(key, order) {
+      sortKey = key;
+      sortOrder = order;
+      const direction = order === 'desc' ? -1 : 1;
+      IMAGES.sort((a, b) => direction * compareMedia(a, b, key));
+      updateView();
+      updateSortControls();
+    }
+
+    // Re-order IMAGES, keeping the cursor on the same item
+    function setSort(key, order) {
+      const cursorMedia = cursorIndex >= 0 ? viewItems[cursorIndex] : null;
+      applySort(key, order);
+
+      if (cursorMedia) {
+        cursorIndex = viewItems.indexOf(cursorMedia);
+        currentPage = Math.floor(cursorIndex / itemsPerPage);
+      } else {
+        currentPage = 0;
+      }
+      renderGallery();
+    }
+
+    // Folder containing a media path ('' for the top level)
+    function getFolderOf(itemPath) {
+      const slash = itemPath.lastIndexOf('/');
+      return slash < 0 ? '' : itemPath.slice(0, slash);
+    }
+
+    function isInFolder(media, folder) {
+      const mediaFolder = getFolderOf(media.path);
+      if (mediaFolder === folder) return true;
+      return includeSubfolders && (folder === '' || mediaFolder.startsWith(folder + '/'));
+    }
+
+    // Convert a glob to a RegExp: * and ? stay within a path segment, ** crosses segments
+    function globToRegExp(glob) {
+      let source = '';
+      for (let i = 0; i < glob.length; i++) {
+        const c = glob[i];
+        if (c === '*' && glob[i + 1] === '*') {
+          source += glob[i + 2] === '/' ? '(?:.*/)?' : '.*';
+          i += glob[i + 2] === '/' ? 2 : 1;
+        } else if (c === '*') {
+          source += '[^/]*';
+        } else if (c === '?') {
+          source += '[^/]';
+        } else if (c === '[' && glob.indexOf(']', i + 1) > i + 1) {
+          const end = glob.indexOf(']', i + 1);
+          source += '[' + glob.slice(i + 1, end).replace(/^!/, '^').replace(/\\\\/g, '\\\\\\\\') + ']';
+          i = end;
+        } else {
+          source += c.replace(/[.+^\${}()|\\\\\\]\\[]/g, '\\\\$&');
+        }
+      }
+      return new RegExp('^' + source + '$', 'i');
+    }
+
+    // Parse a size such as 500KB or 1.5MB (1024-based, like formatBytes)
+    function parseSize(text) {
+      const match = /^(\\d+(?:\\.\\d+)?)\\s*(b|kb|mb|gb)?$/i.exec(text.trim());
+      if (!match) return NaN;
+      const units = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+      return parseFloat(match[1]) * units[(match[2] || 'b').toLowerCase()];
+    }
+
+    // Kind used by type: filters (GIFs and RAW files are their own kinds)
+    function getMediaKind(media) {
+      if (media.type === 'video') return 'video';
+      const ext = media.path.slice(media.path.lastIndexOf('.')).toLowerCase();
+      if (RAW_EXTENSIONS.includes(ext)) return 'raw';
+      return ext === '.gif' ? 'gif' : 'image';
+    }
+
+    // Parse a filter query into a list of tests; every test must pass (terms prefixed with - must fail)
+    function parseFilter(query) {
+      const tests = query.trim().split(/\\s+/).filter(Boolean).map(term => {
+        const negate = term.length > 1 && term.startsWith('-');
+        if (negate) term = term.slice(1);
+        const [, key, value] = /^(type|ext|size|is):(.*)$/i.exec(term) || [];
+        let test;
+
+        if (key && key.toLowerCase() === 'is' && value.toLowerCase() === 'failed') {
+          test = media => Boolean(FAILURES[media.path]);
+        } else if (key && key.toLowerCase() === 'type') {
+          const kinds = value.toLowerCase().split(',');
+          test = media => kinds.includes(getMediaKind(media));
+        } else if (key && key.toLowerCase() === 'ext') {
+          const exts = value.toLowerCase().split(',').map(ext => ext.replace(/^\\./, ''));
+          test = media => exts.includes(media.path.slice(media.path.lastIndexOf('.') + 1).toLowerCase());
+        } else if (key && key.toLowerCase() === 'size') {
+          const range = /^(.*?)-(.*)$/.exec(value);
+          const compare = /^(>=|<=|>|<)(.*)$/.exec(value);
+          if (range) {
+            const min = range[1] ? parseSize(range[1]) : 0;
+            const max = range[2] ? parseSize(range[2]) : Infinity;
+            if (!isNaN(min) && !isNaN(max)) test = media => media.size >= min && media.size <= max;
+          } else if (compare) {
+            const limit = parseSize(compare[2]);
+            const op = compare[1];
+            if (!isNaN(limit)) {
+              test = media => op === '>' ? media.size > limit : op === '<' ? media.size < limit
+                : op === '>=' ? media.size >= limit : media.size <= limit;
+            }
+          }
+        }
+
+        if (!test) {
+          if (/[*?[]/.test(term)) {
+            // Globs without a slash match the file name, otherwise the whole path
+            const regex = globToRegExp(term);
+            test = term.includes('/')
+              ? media => regex.test(media.path)
+              : media => regex.test(media.path.slice(media.path.lastIndexOf('/') + 1));
+          } else {
+            const text = term.toLowerCase();
+            test = media => media.path.toLowerCase().includes(text);
+          }
+        }
+
+        return negate ? media => !test(media) : test;
+      });
+
+      return tests.length > 0 ? tests : null;
+    }
+
+    function matchesFilter(media) {
+      return !activeFilter || activeFilter.every(test => test(media));
+    }
+
+    // Recompute the items shown in the grid (IMAGES order is preserved)
+    function updateView() {
+      viewItems = IMAGES.filter(media => isInFolder(media, currentFolder) && matchesFilter(media));
+    }
+
+    // Apply a filter query, keeping the cursor on the same item if it is still shown
+    function setFilter(query) {
+      const cursorMedia = cursorIndex >= 0 ? viewItems[cursorIndex] : null;
+      activeFilter = parseFilter(query);
+      updateView();
+
+      if (cursorMedia) {
+        cursorIndex = viewItems.indexOf(cursorMedia);
+        if (cursorIndex < 0) cursorIndex = viewItems.length > 0 ? 0 : -1;
+      }
+      currentPage = cursorIndex >= 0 ? Math.floor(cursorIndex / itemsPerPage) : 0;
+      renderGallery();
+    }
+
+    function openFilterBar() {
+      const bar = document.getElementById('filter-bar');
+      if (!bar.classList.contains('active')) {
+        bar.classList.add('active');
+        onResize();  // Header height changed
+      }
+      document.getElementById('filter-input').focus();
+    }
+
+    function closeFilterBar() {
+      const input = document.getElementById('filter-input');
+      input.blur();
+      if (!input.value.trim()) {
+        document.getElementById('filter-bar').classList.remove('active');
+        onResize();
+      }
+    }
+
+    function clearFilter() {
+      document.getElementById('filter-input').value = '';
+      setFilter('');
+      closeFilterBar();
+    }
+
+    function renderFolderBar() {
+      const bar = document.getElementById('folder-bar');
+      if (FOLDER_LIST.length <= 1) {
+        bar.style.display = 'none';
+        return;
+      }
+      bar.style.display = '';
+
+      // Breadcrumbs: All / a / b
+      const parts = currentFolder ? currentFolder.split('/') : [];
+      const crumbs = [{ name: 'All', folder: '' }].concat(parts.map((name, i) => ({ name, folder: parts.slice(0, i + 1).join('/') })));
+      document.getElementById('breadcrumbs').innerHTML = crumbs.map((crumb, i) => i === crumbs.length - 1
+        ? \`<span class="current">\${escapeHtml(crumb.name)}</span>\`
+        : \`<button data-folder="\${escapeHtml(crumb.folder)}">\${escapeHtml(crumb.name)}</button><span class="separator">/</span>\`
+      ).join('');
+
+      // Child folders with cover thumbnail and item count
+      const mediaByPath = new Map(IMAGES.map(media => [media.path, media]));
+      document.getElementById('subfolders').innerHTML = FOLDER_LIST
+        .filter(folder => folder.path !== '' && getFolderOf(folder.path) === currentFolder)
+        .map(folder => {
+          const cover = folder.cover && mediaByPath.get(folder.cover);
+          const name = folder.path.slice(folder.path.lastIndexOf('/') + 1);
+          return \`
+            <button class="folder-chip" data-folder="\${escapeHtml(folder.path)}" title="\${folder.count} here, \${folder.total} including subfolders">
+              \${cover ? \`<img src="\${encodeURI(cover.type === 'video' ? getPosterPath(cover.path) : getThumbnailPath(cover.path, cover.type))}" alt="" loading="lazy" onerror="this.style.visibility='hidden'">\` : ''}
+              \${escapeHtml(name)} <span class="count">\${folder.total}</span>
+            </button>
+          \`;
+        }).join('');
+
+      document.getElementById('include-subfolders').checked = includeSubfolders;
+    }
+
+    function openFolder(folder) {
+      currentFolder = folder;
+      updateView();
+      currentPage = 0;
+      if (cursorIndex >= 0) {
+        cursorIndex = viewItems.length > 0 ? 0 : -1;
+      }
+      renderFolderBar();
+      onResize();  // Folder bar height may have changed
+    }
+
+    function setIncludeSubfolders(include) {
+      includeSubfolders = include;
+      openFolder(currentFolder);
+    }
+
+    // Layout calculation
+    // Narrow screens shrink the presets (M fits two columns on a phone)
+    const NARROW_SCREEN = window.matchMedia('(max-width: 600px)');
+    const NARROW_SCALE = 0.65;
+
+    function calculateLayout() {
+      const header = document.querySelector('.header');
+      const headerHeight = header ? header.offsetHeight : 60;
+      // Gap and padding as styled, so the media queries can't disagree with itemsPerPage
+      const style = getComputedStyle(document.getElementById('gallery'));
+      const gap = parseFloat(style.columnGap) || 0;
+      const viewH = window.innerHeight - headerHeight - parseFloat(style.paddingTop) - parseFloat(style.paddingBottom);
+      const viewW = window.innerWidth - parseFloat(style.paddingLeft) - parseFloat(style.paddingRight);
+
+      const base = Math.round(SIZE_PRESETS[sizePreset] * (NARROW_SCREEN.matches ? NARROW_SCALE : 1));
+      const cols = Math.max(1, Math.floor((viewW + gap) / (base + gap)));
+      const rows = Math.max(1, Math.floor((viewH + gap) / (base + gap)));
+
+      return { cols, rows, perPage: cols * rows };
+    }
+
+    function debounce(fn, ms) {
+      let timeout;
+      return (...args) => {
+        clearTimeout(timeout);
+        timeout = setTimeout(() => fn(...args), ms);
+      };
+    }
+
+    function onResize() {
+      const oldPerPage = itemsPerPage;
+      const oldCols = getGridColumns();
+      const oldRows = Math.ceil(oldPerPage / oldCols) || 1;
+      const firstVisibleIndex = currentPage * oldPerPage;
+
+      const layout = calculateLayout();
+      const newPerPage = layout.perPage;
+
+      // Proportional cursor repositioning when increasing size (fewer items)
+      if (cursorIndex >= 0 && newPerPage < oldPerPage) {
+        const posInOldPage = cursorIndex % oldPerPage;
+        const oldCol = posInOldPage % oldCols;
+        const oldRow = Math.floor(posInOldPage / oldCols);
+
+        const colRatio = oldCols > 1 ? oldCol / (oldCols - 1) : 0;
+        const rowRatio = oldRows > 1 ? oldRow / (oldRows - 1) : 0;
+
+        const newCol = Math.min(Math.round(colRatio * (layout.cols - 1)), layout.cols - 1);
+        const newRow = Math.min(Math.round(rowRatio * (layout.rows - 1)), layout.rows - 1);
+
+        const newPosInPage = newRow * layout.cols + newCol;
+        const cursorPage = Math.floor(cursorIndex / oldPerPage);
+        cursorIndex = Math.min(cursorPage * newPerPage + newPosInPage, viewItems.length - 1);
+      }
+
+      itemsPerPage = newPerPage;
+
+      // Recalculate page to keep same items visible
+      currentPage = Math.min(Math.floor(firstVisibleIndex / itemsPerPage), getTotalPages() - 1);
+      if (currentPage < 0) currentPage = 0;
+
+      // Update CSS variables
+      document.documentElement.style.setProperty('--cols', layout.cols);
+      document.documentElement.style.setProperty('--rows', layout.rows);
+      document.documentElement.style.setProperty('--header-height', document.querySelector('.header').offsetHeight + 'px');
+      document.querySelectorAll('#size-controls button').forEach(button => {
+        button.classList.toggle('active', button.dataset.size === sizePreset);
+      });
+
+      renderGallery();
+    }
+
+    function setSizePreset(preset) {
+      sizePreset = preset;
+      onResize();
+    }
+
+    // Render the gallery for current page
+    function renderGallery() {
+      const gallery = document.getElementById('gallery');
+      const start = currentPage * itemsPerPage;
+      const end = Math.min(start + itemsPerPage, viewItems.length);
+      const pageMedia = viewItems.slice(start, end);
+
+      if (IMAGES.length === 0) {
+        gallery.innerHTML = '<div class="no-images"><h2>No media found</h2><p>Run generate-gallery.js in a folder containing images or videos.</p></div>';
+        return;
+      }
+
+      gallery.innerHTML = pageMedia.map((media, i) => {
+        const globalIndex = start + i;
+        const thumbPath = getThumbnailPath(media.path, media.type);
+        const isVideo = media.type === 'video';
+        const failure = FAILURES[media.path];
+        // Try thumbnail first, fall back to original on error; videos start on their poster
+        return \`
+          <div class="thumbnail" onclick="openLightbox(\${globalIndex})"\${isVideo ? ' onmouseenter="updateVideoPreview(this, true)" onmouseleave="updateVideoPreview(this, false)"' : ''}>
+            <div class="loading-spinner"></div>
+            <img
+              src="\${encodeURI(isVideo ? getPosterPath(media.path) : thumbPath)}"
+              data-original="\${encodeURI(getFallbackPath(media))}"
+              data-type="\${media.type}"
+              \${isVideo ? \`data-poster="\${encodeURI(getPosterPath(media.path))}" data-animated="\${encodeURI(thumbPath)}"\` : ''}
+              alt="\${escapeHtml(media.path)}"
+              class="loading"
+              loading="lazy"
+              onload="this.classList.remove('loading'); this.previousElementSibling.style.display='none';"
+              onerror="if (this.dataset.type === 'video' ? fallBackVideoThumbnail(this) : this.getAttribute('src') !== this.dataset.original && (this.src = this.dataset.original)) return; delete this.dataset.animated; this.src='data:image/svg+xml,<svg xmlns=%22http://www.w3.org/2000/svg%22 viewBox=%220 0 100 100%22><text y=%22.9em%22 font-size=%2290%22>❌</text></svg>'; this.classList.remove('loading'); this.previousElementSibling.style.display='none';"
+            >
+            \${isVideo ? '<div class="play-indicator">&#9658;</div>' : ''}
+            <span class="index-badge">#\${globalIndex + 1}</span>
+            <span class="size-badge">\${formatBytes(media.size)}</span>
+            \${isVideo && (media.duration || media.width) ? \`<span class="video-badges">\${media.duration ? \`<span>\${formatDuration(media.duration)}</span>\` : ''}\${media.width ? \`<span title="\${media.width} &times; \${media.height}">\${formatResolution(media.width, media.height)}</span>\` : ''}</span>\` : ''}
+            \${media.raw || getMediaKind(media) === 'raw' ? \`<span class="raw-badge">\${media.raw ? 'RAW+JPEG' : 'RAW'}</span>\` : ''}
+            \${failure ? \`<span class="failed-badge" title="\${escapeHtml(describeFailure(failure))}">&#9888;</span>\` : ''}
+          </div>
+        \`;
+      }).join('');
+
+      if (viewItems.length === 0 && activeFilter) {
+        gallery.innerHTML = '<div class="no-images"><h2>No matching media</h2><p>Press / to change the filter.</p></div>';
+      } else if (viewItems.length === 0) {
+        gallery.innerHTML = '<div class="no-images"><h2>No media in this folder</h2><p>Turn on "Include subfolders" to see media in its subfolders.</p></div>';
+      }
+
+      // Update page info
+      document.getElementById('page-info').textContent = \`Page \${currentPage + 1} of \${getTotalPages()}\`;
+
+      // Show image/video counts
+      const imageCount = viewItems.filter(m => m.type === 'image').length;
+      const videoCount = viewItems.filter(m => m.type === 'video').length;
+      const totalText = videoCount > 0 ? \`\${imageCount} images, \${videoCount} videos\` : \`\${viewItems.length} images\`;
+      document.getElementById('total-info').textContent = viewItems.length === IMAGES.length
+        ? totalText
+        : \`\${viewItems.length} of \${IMAGES.length} shown (\${totalText})\`;
+
+      // Update button states
+      document.getElementById('prev-btn').disabled = currentPage === 0;
+      document.getElementById('next-btn').disabled = currentPage >= getTotalPages() - 1;
+      updateCursor();
+    }
+
+    // Similar groups as media objects, ignoring paths no longer in the gallery
+    function getSimilarGroups() {
+      const mediaByPath = new Map(IMAGES.map(media => [media.path, media]));
+      return SIMILAR
+        .map(group => group.map(p => mediaByPath.get(p)).filter(Boolean))
+        .filter(group => group.length > 1);
+    }
+
+    // Render the similar items review, one row per group
+    function renderSimilarView() {
+      const view = document.getElementById('similar-view');
+      const groups = getSimilarGroups();
+
+      if (groups.length === 0) {
+        view.innerHTML = '<div class="no-images"><h2>No similar items found</h2></div>';
+        return;
+      }
+
+      view.innerHTML = groups.map((group, g) => {
+        const largest = Math.max(...group.map(media => media.size));
+        return \`
+          <section class="similar-group">
+            <h2>Group \${g + 1} of \${groups.length} &middot; \${group.length} items</h2>
+            <div class="similar-items">
+              \${group.map((media, i) => {
+                const thumbPath = getThumbnailPath(media.path, media.type);
+                const isVideo = media.type === 'video';
+                return \`
+                  <figure class="similar-item" onclick="openSimilarItem(\${g}, \${i})"\${isVideo ? ' onmouseenter="updateVideoPreview(this, true)" onmouseleave="updateVideoPreview(this, false)"' : ''}>
+                    <img
+                      src="\${encodeURI(isVideo ? getPosterPath(media.path) : thumbPath)}"
+                      data-original="\${encodeURI(getFallbackPath(media))}"
+                      data-type="\${media.type}"
+                      \${isVideo ? \`data-poster="\${encodeURI(getPosterPath(media.path))}" data-animated="\${encodeURI(thumbPath)}"\` : ''}
+                      alt="\${escapeHtml(media.path)}"
+                      loading="lazy"
+                      onerror="if (this.dataset.type === 'video' ? fallBackVideoThumbnail(this) : this.getAttribute('src') !== this.dataset.original && (this.src = this.dataset.original)) return; this.onerror = null; delete this.dataset.animated;"
+                    >
+                    <figcaption>
+                      <span class="size\${media.size === largest ? ' largest' : ''}">\${formatBytes(media.size)}</span>
+                      <span class="path">\${escapeHtml(media.path)}</span>
+                    </figcaption>
+                  </figure>
+                \`;
+              }).join('')}
+            </div>
+          </section>
+        \`;
+      }).join('');
+    }
+
+    function toggleSimilarView() {
+      similarViewActive = !similarViewActive;
+      document.getElementById('gallery').style.display = similarViewActive ? 'none' : '';
+      document.getElementById('similar-view').classList.toggle('active', similarViewActive);
+      document.getElementById('similar-btn').classList.toggle('active', similarViewActive);
+      if (similarViewActive) {
+        renderSimilarView();
+      }
+    }
+
+    function openSimilarItem(groupIndex, index) {  // index within the group
+      lightboxGroup = getSimilarGroups()[groupIndex];
+      openLightbox(index);
+    }
+
+    // Navigation
+    function nextPage() {
+      if (currentPage < getTotalPages() - 1) {
+        currentPage++;
+        renderGallery();
+        window.scrollTo(0, 0);
+      }
+    }
+
+    function prevPage() {
+      if (currentPage > 0) {
+        currentPage--;
+        renderGallery();
+        window.scrollTo(0, 0);
+      }
+    }
+
+    // Shift+arrows and swipes: a visible cursor keeps its position within the page
+    function turnPage(delta) {
+      const oldPage = currentPage;
+      delta > 0 ? nextPage() : prevPage();
+      if (cursorIndex >= 0 && currentPage !== oldPage) {
+        const posInPage = cursorIndex % itemsPerPage;
+        cursorIndex = Math.min(currentPage * itemsPerPage + posInPage, viewItems.length - 1);
+        updateCursor();
+      }
+    }
+
+    // Media the lightbox steps through: a similar group, or the grid's items
+    function getLightboxItems() {
+      return lightboxGroup || viewItems;
+    }
+
+    // Lightbox - images use the smallest rendition covering the displayed size, videos the original
+    function openLightbox(index) {
+      if (cursorIndex >= 0 && !lightboxGroup) {
+        cursorIndex = index;
+        updateCursor();
+      }
+      currentLightboxIndex = index;
+      lightboxPage = 0;
+      lightboxActive = true;
+      updateLightbox();
+      document.getElementById('lightbox').classList.add('active');
+      document.body.style.overflow = 'hidden';
+    }
+
+    function closeLightbox() {
+      stopSlideshow();
+      lightboxActive = false;
+      lightboxGroup = null;
+      document.getElementById('lightbox').classList.remove('active');
+      document.body.style.overflow = '';
+
+      // Stop video playback when closing
+      const video = document.getElementById('lightbox-video');
+      video.pause();
+      video.src = '';
+      resetLightboxZoom();
+      updateHash();
+    }
+
+    function updateLightbox() {
+      const media = getLightboxItems()[currentLightboxIndex];
+      const lightboxImg = document.getElementById('lightbox-img');
+      const lightboxVideo = document.getElementById('lightbox-video');
+      const spinner = document.getElementById('lightbox-spinner');
+      const isVideo = media.type === 'video';
+
+      spinner.style.display = 'block';
+
+      // Hide both initially
+      lightboxImg.style.display = 'none';
+      lightboxImg.style.opacity = '0';
+      lightboxVideo.style.display = 'none';
+      lightboxVideo.pause();
+      resetLightboxZoom();
+
+      if (isVideo) {
+        // Show video player; videos browsers can't play use their proxy, or the original until it exists
+        const original = encodeURI(MEDIA_BASE + media.path);
+        lightboxVideo.poster = encodeURI(getPosterPath(media.path));
+        lightboxVideo.src = media.proxy ? encodeURI(getProxyPath(media.path)) : original;
+        lightboxVideo.style.display = 'block';
+        lightboxVideo.play();
+        lightboxVideo.onloadeddata = function() {
+          spinner.style.display = 'none';
+        };
+        lightboxVideo.onerror = function() {
+          if (media.proxy && media.original !== false && lightboxVideo.getAttribute('src') !== original) {
+            lightboxVideo.src = original;
+            lightboxVideo.play();
+            return;
+          }
+          spinner.style.display = 'none';
+          scheduleSlideshow(true);
+        };
+      } else {
+        // Show image; converted formats (HEIC, TIFF, SVG...) only through their renditions
+        const original = encodeURI(MEDIA_BASE + media.path);
+        lightboxImg.style.display = 'block';
+        lightboxImg.alt = '';
+        lightboxImg.onload = function() {
+          spinner.style.display = 'none';
+          lightboxImg.style.opacity = '1';
+        };
+        lightboxImg.onerror = null;
+        if (media.previews) {
+          const sources = getLightboxImageSources(media, lightboxPage);
+          // Renditions are generated after the thumbnails: use the original until they exist
+          lightboxImg.onerror = function() {
+            lightboxImg.onerror = null;
+            lightboxImg.removeAttribute('srcset');
+            if (hasRenditionsOnly(media)) {
+              spinner.style.display = 'none';
+              lightboxImg.alt = 'Preview not generated yet';
+              lightboxImg.style.opacity = '1';
+            } else {
+              lightboxImg.src = original;
+            }
+          };
+          lightboxImg.sizes = getLightboxImageSizes(media);
+          lightboxImg.srcset = sources.srcset;
+          lightboxImg.src = sources.src;
+        } else {
+          lightboxImg.removeAttribute('srcset');
+          lightboxImg.src = original;
+        }
+      }
+      document.getElementById('lightbox-pages').innerHTML = media.pages > 1
+        ? \`<button onclick="lightboxChangePage(-1)" title="Previous page (Page Up)"\${lightboxPage === 0 ? ' disabled' : ''}>&lsaquo;</button>
+           Page \${lightboxPage + 1} of \${media.pages}
+           <button onclick="lightboxChangePage(1)" title="Next page (Page Down)"\${lightboxPage === media.pages - 1 ? ' disabled' : ''}>&rsaquo;</button>\`
+        : '';
+      const originalLink = document.getElementById('lightbox-original');
+      originalLink.href = encodeURI(MEDIA_BASE + media.path);
+      // An SVG opened on its own would run its scripts with the gallery's origin
+      originalLink.style.display = isVideo || media.original === false || /\\.svg$/i.test(media.path) ? 'none' : '';
+
+      document.getElementById('lightbox-path').textContent = media.path;
+      document.getElementById('lightbox-position').textContent = lightboxGroup
+        ? \`Similar item \${currentLightboxIndex + 1} of \${lightboxGroup.length}\`
+        : \`\${isVideo ? 'Video' : 'Image'} \${currentLightboxIndex + 1} of \${viewItems.length}\`;
+      document.getElementById('lightbox-size').textContent = formatBytes(media.size);
+      updateLightboxDetails();
+      document.getElementById('lightbox-duplicates').textContent = media.duplicates
+        ? \`Also at:\n\${media.duplicates.join('\\n')}\`
+        : '';
+      updateHash();
+      scheduleSlideshow();
+    }
+
+    // srcset (renditions, plus the original unless the image has renditions only) and fallback src of an image
+    function getLightboxImageSources(media, page = 0) {
+      const original = encodeURI(MEDIA_BASE + media.path);
+      const renditions = media.previews
+        .map(width => \`\${encodeURI(getPreviewPath(media.path, width, page))} \${width}w\`);
+      if (hasRenditionsOnly(media)) {
+        return {
+          srcset: renditions.join(', '),
+          src: encodeURI(getPreviewPath(media.path, media.previews[media.previews.length - 1], page))
+        };
+      }
+      return { srcset: renditions.concat(\`\${original} \${media.width}w\`).join(', '), src: original };
+    }
+
+    // Displayed width of an image: it is fitted into 95vw x 85vh (see .lightbox-content img)
+    function getLightboxImageSizes(media) {
+      const maxWidth = window.innerWidth * 0.95;
+      const maxHeight = window.innerHeight * 0.85;
+      if (!media.width || !media.height) return Math.ceil(maxWidth) + 'px';
+      return Math.ceil(Math.min(maxWidth, maxHeight * media.width / media.height, media.width)) + 'px';
+    }
+
+    // Why an item's thumbnail failed, for its badge tooltip and the info panel
+    function describeFailure(failure) {
+      const attempts = failure.attempts > 1 ? \`, \${failure.attempts} attempts\` : '';
+      return \`Thumbnail failed (\${failure.stage}\${attempts}): \${failure.message}\`;
+    }
+
+    // Metadata rows shown in the lightbox info panel
+    function getDetailRows(media) {
+      const rows = [];
+      if (media.width && media.height) {
+        rows.push(['Dimensions', \`\${media.width} &times; \${media.height}\`]);
+      }
+      if (media.taken) {
+        rows.push([media.type === 'video' ? 'Created' : 'Captured', media.taken.replace('T', ' ')]);
+      }
+      if (media.duration) {
+        rows.push(['Duration', formatDuration(media.duration)]);
+      }
+      if (media.codec) {
+        const codecs = media.audioCodec ? \`\${media.codec} / \${media.audioCodec}\` : media.codec;
+        rows.push(['Codec', escapeHtml(codecs)]);
+      }
+      if (media.fps) {
+        rows.push(['Frame rate', \`\${media.fps} fps\`]);
+      }
+      if (media.camera) {
+        rows.push(['Camera', escapeHtml(media.camera)]);
+      }
+      if (media.lens) {
+        rows.push(['Lens', escapeHtml(media.lens)]);
+      }
+      const exposure = [media.exposure, media.aperture, media.iso && \`ISO \${media.iso}\`, media.focalLength].filter(Boolean);
+      if (exposure.length > 0) {
+        rows.push(['Exposure', exposure.join(' &middot; ')]);
+      }
+      if (media.orientation) {
+        rows.push(['Orientation', media.orientation]);
+      }
+      if (media.pages > 1) {
+        rows.push(['Pages', media.pages]);
+      }
+      if (media.gps) {
+        const [lat, lon] = media.gps;
+        rows.push(['Location', \`<a href="https://www.openstreetmap.org/?mlat=\${lat}&mlon=\${lon}#map=15/\${lat}/\${lon}" target="_blank" rel="noopener">\${lat}, \${lon}</a>\`]);
+      }
+      rows.push(['File size', formatBytes(media.size)]);
+      if (media.raw) {
+        rows.push(['RAW file', escapeHtml(media.raw)]);
+      }
+      if (FAILURES[media.path]) {
+        rows.push(['Thumbnail', escapeHtml(describeFailure(FAILURES[media.path]))]);
+      }
+      return rows;
+    }
+
+    function updateLightboxDetails() {
+      const media = getLightboxItems()[currentLightboxIndex];
+      document.getElementById('lightbox-details').innerHTML = getDetailRows(media)
+        .map(([label, value]) => \`<dt>\${label}</dt><dd>\${value}</dd>\`)
+        .join('');
+    }
+
+    function toggleLightboxDetails() {
+      lightboxDetailsVisible = !lightboxDetailsVisible;
+      document.getElementById('lightbox-details').classList.toggle('active', lightboxDetailsVisible);
+      document.getElementById('lightbox-info-toggle').classList.toggle('active', lightboxDetailsVisible);
+    }
+
+    // A running slideshow steps through its own order
+    function lightboxNext() {
+      if (slideshow) {
+        advanceSlideshow(1);
+      } else if (currentLightboxIndex < getLightboxItems().length - 1) {
+        currentLightboxIndex++;
+        lightboxPage = 0;
+        updateLightbox();
+      }
+    }
+
+    function lightboxPrev() {
+      if (slideshow) {
+        advanceSlideshow(-1);
+      } else if (currentLightboxIndex > 0) {
+        currentLightboxIndex--;
+        lightboxPage = 0;
+        updateLightbox();
+      }
+    }
+
+    // Step through the pages of a multi-page image (TIFF)
+    function lightboxChangePage(delta) {
+      const media = getLightboxItems()[currentLightboxIndex];
+      const page = lightboxPage + delta;
+      if (media.pages > 1 && page >= 0 && page < media.pages) {
+        lightboxPage = page;
+        updateLightbox();
+      }
+    }
+
+    // Lightbox zoom: the image is scaled from its top-left corner and translated, keeping the point
+    // under the pointer in place; 1 is the fitted size, getActualSizeZoom() shows one image pixel per CSS pixel
+    const ZOOM_STEP = 1.25;
+    let lastPointer = null;  // Pointer position over the lightbox, the centre of keyboard zoom
+    let panStart = null;
+
+    function getActualSizeZoom() {
+      const img = document.getElementById('lightbox-img');
+      const media = getLightboxItems()[currentLightboxIndex];
+      const width = (media && media.width) || img.naturalWidth;
+      return img.offsetWidth > 0 && width ? width / img.offsetWidth : 1;
+    }
+
+    function zoomLightboxImage(scale, clientX, clientY) {
+      const img = document.getElementById('lightbox-img');
+      if (!lightboxActive || img.style.display === 'none' || !img.offsetWidth) return;
+      scale = Math.min(Math.max(scale, 1), Math.max(4, getActualSizeZoom() * 4));
+      const rect = img.getBoundingClientRect();
+      if (clientX === undefined) {
+        const inside = lastPointer && lastPointer.x >= rect.left && lastPointer.x <= rect.right &&
+          lastPointer.y >= rect.top && lastPointer.y <= rect.bottom;
+        clientX = inside ? lastPointer.x : rect.left + rect.width / 2;
+        clientY = inside ? lastPointer.y : rect.top + rect.height / 2;
+      }
+      zoomX += (clientX - rect.left) * (1 - scale / zoomScale);
+      zoomY += (clientY - rect.top) * (1 - scale / zoomScale);
+      zoomScale = scale;
+      applyLightboxZoom();
+    }
+
+    // Keep the zoomed image on screen: fully visible along an axis where it fits, covering it otherwise
+    function applyLightboxZoom() {
+      const img = document.getElementById('lightbox-img');
+      if (zoomScale <= 1) {
+        resetLightboxZoom();
+        return;
+      }
+      const content = img.parentElement.getBoundingClientRect();
+      const clamp = (offset, start, size, viewport) => {
+        const bounds = [-start, viewport - size - start];
+        return Math.min(Math.max(offset, Math.min(...bounds)), Math.max(...bounds));
+      };
+      zoomX = clamp(zoomX, content.left + img.offsetLeft, img.offsetWidth * zoomScale, window.innerWidth);
+      zoomY = clamp(zoomY, content.top + img.offsetTop, img.offsetHeight * zoomScale, window.innerHeight);
+      img.style.transform = \`translate(\${zoomX}px, \${zoomY}px) scale(\${zoomScale})\`;
+      img.classList.add('zoomed');
+      // Let srcset pick a rendition that covers the zoomed size (never a smaller one)
+      const zoomedWidth = Math.ceil(img.offsetWidth * zoomScale);
+      if (img.hasAttribute('srcset') && zoomedWidth > parseInt(img.sizes, 10)) {
+        img.sizes = zoomedWidth + 'px';
+      }
+    }
+
+    function resetLightboxZoom() {
+      const img = document.getElementById('lightbox-img');
+      zoomScale = 1;
+      zoomX = 0;
+      zoomY = 0;
+      panStart = null;
+      img.style.transform = '';
+      img.classList.remove('zoomed', 'panning');
+    }
+
+    // Double-click toggles between the fitted and the actual size
+    function toggleActualSize(clientX, clientY) {
+      if (zoomScale > 1) {
+        resetLightboxZoom();
+      } else {
+        zoomLightboxImage(getActualSizeZoom(), clientX, clientY);
+      }
+    }
+
+    // Slideshow: steps through the lightbox items (in view order or shuffled); videos play before advancing
+    const SLIDESHOW_INTERVALS = [2, 3, 5, 10, 15, 30, 60];
+    const SLIDESHOW_IDLE_DELAY = 3000;  // ms before the controls hide
+    let slideshow = null;  // { order: item indices, position: index into order, paused }
+    let slideshowInterval = SLIDESHOW_INTERVAL;
+    let slideshowShuffle = false;
+    let slideshowLoop = true;
+    let slideshowTimer = null;
+    let slideshowIdleTimer = null;
+    let slideshowPreload = null;  // Keeps the next item loading
+
+    // Item indices in slideshow order: shuffled ones start with \`first\` (if given)
+    function getSlideshowOrder(count, first = -1) {
+      const order = [...Array(count).keys()];
+      if (!slideshowShuffle) return order;
+      const rest = order.filter(index => index !== first);
+      for (let i = rest.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [rest[i], rest[j]] = [rest[j], rest[i]];
+      }
+      return first >= 0 ? [first, ...rest] : rest;
+    }
+
+    // Start from the lightbox item, else the cursor item, else the first item of the page
+    function startSlideshow() {
+      if (slideshow || (viewItems.length === 0 && !lightboxActive)) return;
+      const start = lightboxActive ? currentLightboxIndex
+        : cursorIndex >= 0 ? cursorIndex
+          : Math.min(currentPage * itemsPerPage, viewItems.length - 1);
+      const order = getSlideshowOrder(lightboxActive ? getLightboxItems().length : viewItems.length, start);
+      slideshow = { order, position: order.indexOf(start), paused: false };
+      document.getElementById('lightbox').classList.add('slideshow');
+      updateSlideshowControls();
+      wakeSlideshowControls();
+      if (lightboxActive) {
+        scheduleSlideshow();
+      } else {
+        openLightbox(start);
+      }
+    }
+
+    function stopSlideshow() {
+      if (!slideshow) return;
+      slideshow = null;
+      clearTimeout(slideshowTimer);
+      clearTimeout(slideshowIdleTimer);
+      cancelSlideshowPreload();
+      document.getElementById('lightbox').classList.remove('slideshow', 'idle');
+    }
+
+    function toggleSlideshow() {
+      if (slideshow) {
+        stopSlideshow();
+      } else {
+        startSlideshow();
+      }
+    }
+
+    // Time the shown item: images (and videos that fail to load) for the interval, videos until they end
+    function scheduleSlideshow(asImage = false) {
+      clearTimeout(slideshowTimer);
+      if (!slideshow || slideshow.paused) return;
+      const media = getLightboxItems()[currentLightboxIndex];
+      if (media.type !== 'video' || asImage) {
+        slideshowTimer = setTimeout(() => advanceSlideshow(1), slideshowInterval * 1000);
+      }
+      preloadSlideshowItem();
+    }
+
+    // Step through the slideshow order; past either end it wraps when looping (reshuffled), else stops
+    function advanceSlideshow(step) {
+      if (!slideshow) return;
+      let position = slideshow.position + step;
+      if (position < 0 || position >= slideshow.order.length) {
+        if (!slideshowLoop) {
+          if (step > 0) stopSlideshow();
+          return;
+        }
+        if (slideshowShuffle) {
+          slideshow.order = getSlideshowOrder(getLightboxItems().length);
+          // Don't show the same item twice in a row
+          if (slideshow.order.length > 1 && slideshow.order[0] === currentLightboxIndex) {
+            slideshow.order.push(slideshow.order.shift());
+          }
+        }
+        position = position < 0 ? slideshow.order.length - 1 : 0;
+      }
+      slideshow.position = position;
+      currentLightboxIndex = slideshow.order[position];
+      lightboxPage = 0;
+      updateLightbox();
+    }
+
+    function setSlideshowShuffle(shuffle) {
+      slideshowShuffle = shuffle;
+      if (!slideshow) return;
+      slideshow.order = getSlideshowOrder(getLightboxItems().length, currentLightboxIndex);
+      slideshow.position = slideshow.order.indexOf(currentLightboxIndex);
+      preloadSlideshowItem();
+    }
+
+    // Space: pausing also pauses a playing video; resuming restarts the interval
+    function toggleSlideshowPause() {
+      slideshow.paused = !slideshow.paused;
+      const video = document.getElementById('lightbox-video');
+      if (video.style.display !== 'none') {
+        if (slideshow.paused) {
+          video.pause();
+        } else {
+          video.play();
+        }
+      }
+      scheduleSlideshow();
+      updateSlideshowControls();
+    }
+
+    function updateSlideshowControls() {
+      const pause = document.getElementById('slideshow-pause');
+      pause.innerHTML = slideshow && slideshow.paused ? '&#9654;' : '&#10074;&#10074;';
+      pause.title = slideshow && slideshow.paused ? 'Resume (Space)' : 'Pause (Space)';
+      document.getElementById('slideshow-interval').value = slideshowInterval;
+      document.getElementById('slideshow-shuffle').checked = slideshowShuffle;
+      document.getElementById('slideshow-loop').checked = slideshowLoop;
+    }
+
+    // Load the next item ahead: the image the lightbox will pick from srcset, or the video and its poster
+    function preloadSlideshowItem() {
+      cancelSlideshowPreload();
+      const next = slideshow.order[slideshow.position + 1] ??
+        (slideshowLoop && !slideshowShuffle ? slideshow.order[0] : undefined);
+      const media = getLightboxItems()[next];
+      if (!media || next === currentLightboxIndex) return;
+      if (media.type === 'video') {
+        new Image().src = encodeURI(getPosterPath(media.path));
+        slideshowPreload = document.createElement('video');
+        slideshowPreload.preload = 'auto';
+        slideshowPreload.muted = true;
+        slideshowPreload.src = media.proxy ? encodeURI(getProxyPath(media.path)) : encodeURI(MEDIA_BASE + media.path);
+      } else {
+        slideshowPreload = new Image();
+        if (media.previews) {
+          const sources = getLightboxImageSources(media);
+          slideshowPreload.sizes = getLightboxImageSizes(media);
+          slideshowPreload.srcset = sources.srcset;
+          slideshowPreload.src = sources.src;
+        } else {
+          slideshowPreload.src = encodeURI(MEDIA_BASE + media.path);
+        }
+      }
+    }
+
+    // A video that won't be shown next stops downloading
+    function cancelSlideshowPreload() {
+      if (slideshowPreload instanceof HTMLVideoElement) {
+        slideshowPreload.removeAttribute('src');
+        slideshowPreload.load();
+      }
+      slideshowPreload = null;
+    }
+
+    function wakeSlideshowControls() {
+      const lightbox = document.getElementById('lightbox');
+      lightbox.classList.remove('idle');
+      clearTimeout(slideshowIdleTimer);
+      if (slideshow) {
+        slideshowIdleTimer = setTimeout(() => lightbox.classList.add('idle'), SLIDESHOW_IDLE_DELAY);
+      }
+    }
+
+    function toggleFullscreen() {
+      if (document.fullscreenElement) {
+        document.exitFullscreen();
+      } else if (document.fullscreenEnabled) {
+        document.documentElement.requestFullscreen().catch(() => {});
+      }
+    }
+
+    // Cursor navigation helpers
+    function getGridColumns() {
+      const items = document.querySelectorAll('.thumbnail');
+      if (items.length < 2) return 1;
+      const firstTop = items[0].offsetTop;
+      for (let i = 1; i < items.length; i++) {
+        if (items[i].offsetTop !== firstTop) return i;
+      }
+      return items.length;
+    }
+
+    function updateCursor() {
+      document.querySelectorAll('.thumbnail').forEach((el, i) => {
+        el.classList.toggle('cursor', currentPage * itemsPerPage + i === cursorIndex);
+        updateVideoPreview(el);
+      });
+      updateHash();
+    }
+
+    // Video tiles show their poster; the animated thumbnail plays while hovered or under the cursor
+    function updateVideoPreview(tile, hovered = tile.matches(':hover')) {
+      const img = tile.querySelector('img[data-animated]');
+      if (!img) return;
+      const src = hovered || tile.classList.contains('cursor') ? img.dataset.animated : img.dataset.poster;
+      if (img.getAttribute('src') !== src) img.src = src;
+    }
+
+    // A missing poster or animated thumbnail is replaced by the other; false once neither loads
+    function fallBackVideoThumbnail(img) {
+      const failed = img.getAttribute('src');
+      const other = failed === img.dataset.poster ? img.dataset.animated : img.dataset.poster;
+      if (!other || other === failed) return false;
+      img.dataset.poster = img.dataset.animated = other;
+      img.src = other;
+      return true;
+    }
+
+    function moveCursor(key) {
+      const cols = getGridColumns();
+      const delta = { ArrowRight: 1, ArrowLeft: -1, ArrowDown: cols, ArrowUp: -cols }[key];
+      const next = cursorIndex + delta;
+      if (next >= 0 && next < viewItems.length) {
+        cursorIndex = next;
+        const targetPage = Math.floor(cursorIndex / itemsPerPage);
+        if (targetPage !== currentPage) {
+          currentPage = targetPage;
+          renderGallery();
+          window.scrollTo(0, 0);
+        }
+        updateCursor();
+      }
+    }
+
+    // Keyboard navigation
+    document.addEventListener('keydown', (e) => {
+      // Leave keys to focused form controls (e.g. the sort dropdown)
+      if (e.target.matches && e.target.matches('input, select, textarea')) {
+        return;
+      }
+
+      if (lightboxActive) {
+        if (e.key === 'Escape') {
+          closeLightbox();
+        } else if (e.key === 'ArrowRight') {
+          lightboxNext();
+        } else if (e.key === 'ArrowLeft') {
+          lightboxPrev();
+        } else if (e.key === 'PageDown' || e.key === 'PageUp') {
+          e.preventDefault();
+          lightboxChangePage(e.key === 'PageDown' ? 1 : -1);
+        } else if (e.key === '+' || e.key === '=') {
+          zoomLightboxImage(zoomScale * ZOOM_STEP);
+        } else if (e.key === '-') {
+          zoomLightboxImage(zoomScale / ZOOM_STEP);
+        } else if (e.key === '0') {
+          resetLightboxZoom();
+        } else if (e.key.toLowerCase() === 'i') {
+          toggleLightboxDetails();
+        } else if (e.key.toLowerCase() === 'o') {
+          const originalLink = document.getElementById('lightbox-original');
+          if (originalLink.style.display !== 'none') {
+            window.open(originalLink.href, '_blank', 'noopener');
+          }
+        } else if (e.key.toLowerCase() === 'p') {
+          toggleSlideshow();
+        } else if (e.key.toLowerCase() === 'f') {
+          toggleFullscreen();
+        } else if (e.key === ' ' || e.code === 'Space') {
+          e.preventDefault();
+          const video = document.getElementById('lightbox-video');
+          if (slideshow) {
+            toggleSlideshowPause();
+          } else if (video.style.display !== 'none') {
+            if (video.paused) {
+              video.play();
+            } else {
+              video.pause();
+            }
+          }
+        }
+      } else if (similarViewActive) {
+        if (e.key === 'Escape' || e.key.toLowerCase() === 'd') {
+          toggleSimilarView();
+        }
+      } else {
+        if (e.shiftKey && (e.key === 'ArrowLeft' || e.key === 'ArrowRight')) {
+          e.preventDefault();
+          turnPage(e.key === 'ArrowRight' ? 1 : -1);
+        } else if (['ArrowUp','ArrowDown','ArrowLeft','ArrowRight'].includes(e.key)) {
+          e.preventDefault();
+          if (cursorIndex < 0) {
+            cursorIndex = Math.min(currentPage * itemsPerPage + lastCursorPos, viewItems.length - 1);
+            updateCursor();
+          } else {
+            moveCursor(e.key);
+          }
+        } else if (e.key === 'Escape' && cursorIndex >= 0) {
+          lastCursorPos = cursorIndex % itemsPerPage;
+          cursorIndex = -1;
+          updateCursor();
+        } else if (e.key === 'Enter' && cursorIndex >= 0) {
+          openLightbox(cursorIndex);
+        } else if ('sml'.includes(e.key.toLowerCase())) {
+          setSizePreset(e.key.toUpperCase());
+        } else if (e.key.toLowerCase() === 'd' && SIMILAR.length > 0) {
+          toggleSimilarView();
+        } else if (e.key.toLowerCase() === 'p') {
+          startSlideshow();
+        } else if (e.key === '/') {
+          e.preventDefault();
+          openFilterBar();
+        } else if (e.key === 'Backspace' && currentFolder !== '') {
+          e.preventDefault();
+          openFolder(getFolderOf(currentFolder));
+        }
+      }
+    });
+
+    // Click outside to close lightbox
+    document.getElementById('lightbox').addEventListener('click', (e) => {
+      if (e.target.id === 'lightbox') {
+        closeLightbox();
+      }
+    });
+
+    // Lightbox zoom and pan: wheel zooms around the pointer, dragging pans the zoomed image
+    const lightboxElement = document.getElementById('lightbox');
+    const lightboxImage = document.getElementById('lightbox-img');
+    lightboxElement.addEventListener('wheel', (e) => {
+      if (lightboxImage.style.display === 'none' || e.target.closest('.lightbox-details')) return;
+      e.preventDefault();
+      const delta = e.deltaMode === 1 ? e.deltaY * 16 : e.deltaY;  // Lines to pixels
+      zoomLightboxImage(zoomScale * Math.exp(-delta * 0.002), e.clientX, e.clientY);
+    }, { passive: false });
+    lightboxElement.addEventListener('pointermove', (e) => {
+      lastPointer = { x: e.clientX, y: e.clientY };
+      wakeSlideshowControls();
+    });
+    lightboxImage.addEventListener('dblclick', (e) => toggleActualSize(e.clientX, e.clientY));
+    lightboxImage.addEventListener('pointerdown', (e) => {
+      if (zoomScale <= 1 || e.button !== 0) return;
+      panStart = { x: e.clientX - zoomX, y: e.clientY - zoomY };
+      lightboxImage.setPointerCapture(e.pointerId);
+      lightboxImage.classList.add('panning');
+    });
+    lightboxImage.addEventListener('pointermove', (e) => {
+      if (!panStart || pinch) return;
+      zoomX = e.clientX - panStart.x;
+      zoomY = e.clientY - panStart.y;
+      applyLightboxZoom();
+    });
+    for (const type of ['pointerup', 'pointercancel']) {
+      lightboxImage.addEventListener(type, () => {
+        panStart = null;
+        lightboxImage.classList.remove('panning');
+      });
+    }
+
+    // Touch: swipe left/right turns pages (grid) or items (lightbox), swipe down closes the lightbox,
+    // two fingers pinch-zoom the image and a double tap toggles its actual size
+    const SWIPE_DISTANCE = 50;  // px
+    const SWIPE_TIME = 800;  // ms
+    const DOUBLE_TAP_TIME = 300;  // ms
+    let touchStart = null;  // { x, y, time } of a one-finger touch
+    let pinch = null;  // { distance, x, y, scale } while two fingers are down
+    let lastTap = null;
+
+    function startTouch(e) {
+      const touch = e.touches[0];
+      touchStart = e.touches.length === 1 ? { x: touch.clientX, y: touch.clientY, time: Date.now() } : null;
+    }
+
+    // Direction of a quick, mostly straight one-finger movement (null for taps and slow drags)
+    function getSwipe(touch) {
+      if (!touchStart || Date.now() - touchStart.time > SWIPE_TIME) return null;
+      const dx = touch.clientX - touchStart.x;
+      const dy = touch.clientY - touchStart.y;
+      if (Math.abs(dx) >= SWIPE_DISTANCE && Math.abs(dx) > Math.abs(dy) * 1.5) return dx < 0 ? 'left' : 'right';
+      if (Math.abs(dy) >= SWIPE_DISTANCE && Math.abs(dy) > Math.abs(dx) * 1.5) return dy < 0 ? 'up' : 'down';
+      return null;
+    }
+
+    function getPinch(touches) {
+      const [a, b] = touches;
+      return {
+        distance: Math.max(1, Math.hypot(a.clientX - b.clientX, a.clientY - b.clientY)),
+        x: (a.clientX + b.clientX) / 2,
+        y: (a.clientY + b.clientY) / 2
+      };
+    }
+
+    const galleryElement = document.getElementById('gallery');
+    galleryElement.addEventListener('touchstart', startTouch, { passive: true });
+    galleryElement.addEventListener('touchend', (e) => {
+      const swipe = getSwipe(e.changedTouches[0]);
+      touchStart = null;
+      if (swipe === 'left' || swipe === 'right') turnPage(swipe === 'left' ? 1 : -1);
+    });
+
+    lightboxElement.addEventListener('touchstart', (e) => {
+      wakeSlideshowControls();
+      pinch = null;
+      if (e.target.closest('.lightbox-details, .slideshow-bar')) {
+        touchStart = null;
+        return;
+      }
+      startTouch(e);
+      if (e.touches.length === 2 && lightboxImage.style.display !== 'none') {
+        panStart = null;
+        pinch = { ...getPinch(e.touches), scale: zoomScale };
+      }
+    }, { passive: true });
+    lightboxElement.addEventListener('touchmove', (e) => {
+      if (!pinch || e.touches.length !== 2) return;
+      e.preventDefault();
+      // The image follows the fingers' midpoint and scales around it
+      const current = getPinch(e.touches);
+      zoomX += current.x - pinch.x;
+      zoomY += current.y - pinch.y;
+      pinch.x = current.x;
+      pinch.y = current.y;
+      zoomLightboxImage(pinch.scale * current.distance / pinch.distance, current.x, current.y);
+    }, { passive: false });
+    lightboxElement.addEventListener('touchend', (e) => {
+      if (pinch) {
+        if (e.touches.length < 2) pinch = null;
+        return;
+      }
+      const touch = e.changedTouches[0];
+      const tapped = touchStart && Math.hypot(touch.clientX - touchStart.x, touch.clientY - touchStart.y) < 10;
+      const swipe = zoomScale > 1 ? null : getSwipe(touch);  // A zoomed image pans instead
+      touchStart = null;
+      if (swipe === 'left') {
+        lightboxNext();
+      } else if (swipe === 'right') {
+        lightboxPrev();
+      } else if (swipe === 'down') {
+        closeLightbox();
+      } else if (tapped && e.target === lightboxImage) {
+        const now = Date.now();
+        if (lastTap && now - lastTap.time < DOUBLE_TAP_TIME && Math.hypot(touch.clientX - lastTap.x, touch.clientY - lastTap.y) < 30) {
+          e.preventDefault();  // No emulated dblclick
+          lastTap = null;
+          toggleActualSize(touch.clientX, touch.clientY);
+        } else {
+          lastTap = { x: touch.clientX, y: touch.clientY, time: now };
+        }
+      }
+    });
+
+    // Slideshow: videos advance when they end (or reach the limit); paused ones don't
+    const lightboxVideoElement = document.getElementById('lightbox-video');
+    lightboxVideoElement.addEventListener('ended', () => {
+      if (slideshow && !slideshow.paused) advanceSlideshow(1);
+    });
+    lightboxVideoElement.addEventListener('timeupdate', () => {
+      if (slideshow && !slideshow.paused && SLIDESHOW_VIDEO_LIMIT > 0 &&
+          lightboxVideoElement.currentTime >= SLIDESHOW_VIDEO_LIMIT) {
+        advanceSlideshow(1);
+      }
+    });
+    document.addEventListener('fullscreenchange', () => {
+      document.getElementById('fullscreen-btn').classList.toggle('active', !!document.fullscreenElement);
+    });
+    document.getElementById('slideshow-interval').innerHTML = [...new Set([...SLIDESHOW_INTERVALS, SLIDESHOW_INTERVAL])]
+      .sort((a, b) => a - b)
+      .map(seconds => \`<option value="\${seconds}">\${seconds} s</option>\`)
+      .join('');
+    if (!document.fullscreenEnabled) {
+      document.getElementById('fullscreen-btn').style.display = 'none';
+    }
+    updateSlideshowControls();
+
+    // Filter bar: live filtering while typing, Enter/Escape return to the grid
+    const filterInput = document.getElementById('filter-input');
+    filterInput.addEventListener('input', debounce(() => setFilter(filterInput.value), 150));
+    filterInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        setFilter(filterInput.value);
+        filterInput.blur();
+      } else if (e.key === 'Escape') {
+        closeFilterBar();
+      }
+    });
+
+    // Folder bar clicks (breadcrumbs and subfolders)
+    document.getElementById('folder-bar').addEventListener('click', (e) => {
+      const target = e.target.closest('[data-folder]');
+      if (target) {
+        openFolder(target.dataset.folder);
+      }
+    });
+
+    // Resize handler
+    window.addEventListener('resize', debounce(onResize, 100));
+
+    // View state survives reloads (e.g. after --watch rewrites images-data.js); items are tracked by path
+    const STATE_KEY = 'gallery-state:' + location.pathname;
+
+    function saveState() {
+      const firstVisible = viewItems[currentPage * itemsPerPage];
+      try {
+        sessionStorage.setItem(STATE_KEY, JSON.stringify({
+          sizePreset,
+          sortKey,
+          sortOrder,
+          currentFolder,
+          includeSubfolders,
+          filter: document.getElementById('filter-input').value,
+          firstVisible: firstVisible ? firstVisible.path : null,
+          cursor: cursorIndex >= 0 ? viewItems[cursorIndex].path : null,
+          lastCursorPos,
+          slideshowInterval,
+          slideshowShuffle,
+          slideshowLoop
+        }));
+      } catch {
+        // Storage unavailable: state is simply not kept
+      }
+    }
+
+    // Restore settings that affect layout and the visible items (before the first render)
+    function restoreState() {
+      let state;
+      try {
+        state = JSON.parse(sessionStorage.getItem(STATE_KEY));
+      } catch {
+        return null;
+      }
+      if (!state) return null;
+
+      if (SIZE_PRESETS[state.sizePreset]) sizePreset = state.sizePreset;
+      lastCursorPos = state.lastCursorPos || 0;
+      if (SLIDESHOW_INTERVALS.concat(SLIDESHOW_INTERVAL).includes(state.slideshowInterval)) slideshowInterval = state.slideshowInterval;
+      slideshowShuffle = state.slideshowShuffle === true;
+      slideshowLoop = state.slideshowLoop !== false;
+      includeSubfolders = state.includeSubfolders !== false;
+      if (FOLDER_LIST.some(folder => folder.path === state.currentFolder)) currentFolder = state.currentFolder;
+      if (state.filter) {
+        document.getElementById('filter-input').value = state.filter;
+        document.getElementById('filter-bar').classList.add('active');
+        activeFilter = parseFilter(state.filter);
+      }
+      if (state.sortKey && (state.sortKey !== sortKey || state.sortOrder !== sortOrder)) {
+        applySort(state.sortKey, state.sortOrder);
+      }
+      updateView();
+      return state;
+    }
+
+    // Return to the saved page and cursor once the layout is known
+    function restorePosition(state) {
+      const indexOf = itemPath => viewItems.findIndex(media => media.path === itemPath);
+      const firstVisible = indexOf(state.firstVisible);
+      const cursor = indexOf(state.cursor);
+      if (firstVisible >= 0) currentPage = Math.floor(firstVisible / itemsPerPage);
+      if (cursor >= 0) {
+        cursorIndex = cursor;
+        currentPage = Math.floor(cursor / itemsPerPage);
+      }
+      renderGallery();
+    }
+
+    window.addEventListener('pagehide', saveState);
+
+    // URL hash state: #page=12&item=<path>&size=L, plus &open=1 while the lightbox shows the item.
+    // Page and lightbox changes push history entries, cursor and size changes replace the current one.
+    // Items are linked by path, so links survive re-sorting and new files.
+    let applyingHash = false;  // Don't write the hash while applying it
+
+    function parseHash(hash) {
+      const params = new URLSearchParams(hash.replace(/^#/, ''));
+      return {
+        page: parseInt(params.get('page'), 10) || 0,
+        item: params.get('item'),
+        size: params.get('size'),
+        open: params.get('open') === '1'
+      };
+    }
+
+    function buildHash() {
+      const media = lightboxActive ? getLightboxItems()[currentLightboxIndex] : viewItems[cursorIndex];
+      let hash = '#page=' + (currentPage + 1);
+      if (media) hash += '&item=' + encodeURIComponent(media.path).replace(/%2F/g, '/');
+      hash += '&size=' + sizePreset;
+      if (lightboxActive) hash += '&open=1';
+      return hash;
+    }
+
+    function updateHash(replace = false) {
+      if (applyingHash) return;
+      const hash = buildHash();
+      const previous = parseHash(location.hash);
+      const next = parseHash(hash);
+      if (JSON.stringify(previous) === JSON.stringify(next)) return;
+      const push = !replace && location.hash !== '' &&
+        (previous.page !== next.page || previous.open !== next.open || (next.open && previous.item !== next.item && !slideshow));
+      history[push ? 'pushState' : 'replaceState'](null, '', hash);
+    }
+
+    // Show the linked page, cursor item and lightbox; an item hidden by the folder or filter shows everything
+    function applyHash(state) {
+      applyingHash = true;
+      if (SIZE_PRESETS[state.size] && state.size !== sizePreset) {
+        sizePreset = state.size;
+        onResize();
+      }
+      const indexOf = itemPath => viewItems.findIndex(media => media.path === itemPath);
+      if (state.item && indexOf(state.item) < 0 && IMAGES.some(media => media.path === state.item)) {
+        document.getElementById('filter-input').value = '';
+        document.getElementById('filter-bar').classList.remove('active');
+        activeFilter = null;
+        currentFolder = '';
+        includeSubfolders = true;
+        document.getElementById('include-subfolders').checked = true;
+        updateView();
+        renderFolderBar();
+        onResize();
+      }
+      const index = state.item ? indexOf(state.item) : -1;
+      cursorIndex = state.open ? (cursorIndex >= 0 ? index : -1) : index;
+      currentPage = index >= 0
+        ? Math.floor(index / itemsPerPage)
+        : Math.max(0, Math.min(state.page - 1, getTotalPages() - 1));
+      renderGallery();
+      if (state.open && index >= 0) {
+        if (!lightboxActive || lightboxGroup || currentLightboxIndex !== index) {
+          lightboxGroup = null;
+          openLightbox(index);
+        }
+      } else if (lightboxActive) {
+        closeLightbox();
+      }
+      applyingHash = false;
+      updateHash(true);  // Normalise the hash (e.g. the page of the linked item) without a new entry
+    }
+
+    window.addEventListener('popstate', () => applyHash(parseHash(location.hash)));
+
+    // Initial layout and render; a linked position wins over the one saved for reloads
+    const savedState = restoreState();
+    const linkedState = location.hash ? parseHash(location.hash) : null;
+    updateSortControls();
+    renderFolderBar();
+    if (SIMILAR.length > 0) {
+      document.getElementById('similar-btn').style.display = '';
+    }
+    applyingHash = true;
+    onResize();
+    if (savedState) {
+      restorePosition(savedState);
+    }
+    applyingHash = false;
+    if (linkedState) {
+      applyHash(linkedState);
+    } else {
+      updateHash(true);
+    }
+  </script>
+</body>
+</html>
+`;
+
+  // Atomic so an open gallery never loads a half-written file (it is rewritten by --watch with singleFile)
+  writeFileAtomic(ctx.paths.htmlFile, html);
+  ctx.log(`Generated ${path.relative(process.cwd(), ctx.paths.htmlFile)}`);
+}
+
+/**
+ * Script tags loading images-data.js, similar-data.js and failures-data.js, or with singleFile their
+ * contents inlined (data files not written yet are left out until the HTML is generated again)
+ */
+function getDataScripts(ctx) {
+  return [ctx.paths.dataFile, ctx.paths.similarData, ctx.paths.failuresData].map(file => {
+    if (!ctx.options.singleFile) {
+      return `<script src="${path.relative(ctx.outputDir, file).split(path.sep).join('/')}"></script>`;
+    }
+    if (!fs.existsSync(file)) return '';
+    // A path containing </script> must not end the inline script early
+    return `<script>\n${fs.readFileSync(file, 'utf8').replace(/<\/script/gi, '<\\/script')}</script>`;
+  }).filter(Boolean).join('\n  ');
+}
+
+/**
+ * Load the thumbnail failures of previous runs, keyed by path
+ */
+function loadThumbnailFailures(ctx) {
+  try {
+    const entries = JSON.parse(fs.readFileSync(ctx.paths.failures, 'utf8'));
+    return new Map(entries.map(entry => [entry.path, entry]));
+  } catch {
+    return new Map();
+  }
+}
+
+function saveThumbnailFailures(ctx, failures) {
+  if (!fs.existsSync(ctx.paths.stateDir)) {
+    fs.mkdirSync(ctx.paths.stateDir, { recursive: true });
+  }
+  const entries = [...failures.values()].sort((a, b) => compareText(a.path, b.path));
+  writeFileAtomic(ctx.paths.failures, JSON.stringify(entries, null, 2) + '\n');
+}
+
+/**
+ * Describe a failed thumbnail: stage is probe (reading the source's header or duration),
+ * extract (decoding and resizing frames) or encode (writing the thumbnail).
+ * Attempts are counted while the source is unchanged.
+ */
+function createFailureEntry(item, stage, err, previous) {
+  const output = (err.stderr ? String(err.stderr) : err.message).trim();
+  return {
+    path: item.path,
+    type: item.type,
+    stage,
+    message: err.message.split('\n')[0],
+    stderr: output.length > MAX_STDERR_LENGTH ? '...' + output.slice(-MAX_STDERR_LENGTH) : output,
+    timestamp: new Date().toISOString(),
+    attempts: previous && previous.fingerprint === item.fingerprint ? previous.attempts + 1 : 1,
+    fingerprint: item.fingerprint
+  };
+}
+
+/**
+ * Drop failures of items no longer in the gallery and write failures-data.js for the viewer
+ */
+function generateFailuresDataFile(ctx, media) {
+  const failures = loadThumbnailFailures(ctx);
+  const inGallery = new Set(media.map(item => item.path));
+  let pruned = false;
+  for (const failurePath of failures.keys()) {
+    if (!inGallery.has(failurePath)) {
+      failures.delete(failurePath);
+      pruned = true;
+    }
+  }
+  if (pruned) {
+    saveThumbnailFailures(ctx, failures);
+  }
+
+  // Messages name files relative to the input and output directories, so no local paths are published
+  const relativeMessage = message => message
+    .split(ctx.inputDir + path.sep).join('')
+    .split(ctx.outputDir + path.sep).join('');
+  const flags = {};
+  for (const entry of failures.values()) {
+    flags[entry.path] = { stage: entry.stage, message: relativeMessage(entry.message), attempts: entry.attempts };
+  }
+  const content = `// Auto-generated by generate-gallery.js
+// Failed thumbnails: ${failures.size}
+// Generated: ${new Date().toISOString()}
+
+const THUMBNAIL_FAILURES = ${JSON.stringify(flags, null, 2)};
+`;
+
+  writeFileAtomic(ctx.paths.failuresData, content);
+  return failures.size;
+}
+
+/**
+ * Set cached perceptual hashes (only reused if the content fingerprint is unchanged)
+ */
+function applyCachedPerceptualHashes(ctx, media) {
+  const phashCache = loadPerceptualHashes(ctx);
+  for (const item of media) {
+    const cachedHash = phashCache[item.path];
+    if (!item.phash && cachedHash && cachedHash.fingerprint === item.fingerprint) {
+      item.phash = cachedHash.phash;
+    }
+  }
+}
+
+/**
+ * Settings an item's thumbnail was built with; if any differ, its thumbnail is stale
+ */
+function getThumbnailSettings(item, config) {
+  const ext = path.extname(item.path).toLowerCase();
+  if (item.type === 'video') return [config.thumbnailSize, config.videoFps, config.videoQuality, config.jpegQuality];
+  if (ext === '.gif') return [config.thumbnailSize, config.webpQuality];
+  return [config.thumbnailSize, ext === '.png' || ext === '.svg' ? config.pngQuality : config.jpegQuality];
+}
+
+/**
+ * Delete thumbnails and lightbox renditions built with settings other than the current ones,
+ * then record the resolved config. The config of the previous run is read from
+ * .gallery-data/config.json; returns the number of thumbnails deleted.
+ */
+function invalidateThumbnailSettings(ctx, media) {
+  // Thumbnails from before config.json existed were built with the defaults
+  let previous = DEFAULT_CONFIG;
+  try {
+    previous = { ...DEFAULT_CONFIG, ...JSON.parse(fs.readFileSync(ctx.paths.resolvedConfig, 'utf8')) };
+  } catch {
+    // No config.json yet
+  }
+
+  let deleted = 0;
+  for (const item of media) {
+    if (getThumbnailSettings(item, previous).join() === getThumbnailSettings(item, ctx.config).join()) continue;
+    if (fs.existsSync(getThumbnailPath(ctx, item.path, item.type))) {
+      deleted++;
+    }
+    removeThumbnailFiles(ctx, item);
+  }
+
+  // Renditions of sizes no longer configured are simply not used (`clean` deletes them)
+  if (previous.previewFormat !== ctx.config.previewFormat || previous.previewQuality !== ctx.config.previewQuality) {
+    fs.rmSync(ctx.paths.previewsDir, { recursive: true, force: true });
+  }
+  if (previous.videoProxies !== ctx.config.videoProxies) {
+    fs.rmSync(ctx.paths.proxiesDir, { recursive: true, force: true });
+  }
+
+  if (!fs.existsSync(ctx.paths.stateDir)) {
+    fs.mkdirSync(ctx.paths.stateDir, { recursive: true });
+  }
+  writeFileAtomic(ctx.paths.resolvedConfig, JSON.stringify(ctx.config, null, 2) + '\n');
+  return deleted;
+}
+
+/**
+ * Generate thumbnails progressively, emitting a 'progress' event after each item
+ * With quiet set (watch mode), only the final summary is logged.
+ * Aborting ctx.signal stops queueing and aborts running ffmpeg processes.
+ */
+async function generateThumbnails(ctx, media, { quiet = false } = {}) {
+  let sharp;
+  try {
+    sharp = require('sharp');
+  } catch (err) {
+    ctx.log('\n  sharp module not found. Install it for thumbnail generation:');
+    ctx.log('   npm install sharp');
+    ctx.log('\nGallery will work without thumbnails (using original files).\n');
+    return { generated: 0, skipped: media.length, failed: 0, remaining: 0, interrupted: false, seconds: 0 };
+  }
+
+  // Check for videos and ffmpeg availability
+  const hasVideos = media.some(m => m.type === 'video');
+  const hasFfmpeg = await checkFfmpegAvailable();
+  if (hasVideos && !hasFfmpeg && !quiet) {
+    ctx.log('\n  ffmpeg not found. Video thumbnails will be skipped.');
+    ctx.log('Install ffmpeg to enable video thumbnail generation.\n');
+  }
+
+  if (!quiet) {
+    ctx.log(`\nGenerating thumbnails (${ctx.config.thumbnailSize}px, ${ctx.config.concurrency} concurrent)...`);
+    ctx.log('You can open gallery.html now - it will use originals until thumbnails are ready.\n');
+  }
+
+  const startTime = Date.now();
+  let completed = 0;
+  let skipped = 0;
+  let failed = 0;
+  let videosGenerated = 0;
+  let videoTime = 0;
+
+  // Perceptual hashes from previous runs
+  applyCachedPerceptualHashes(ctx, media);
+
+  // Failures are recorded in failures.json; a success clears the item's entry
+  const failures = loadThumbnailFailures(ctx);
+
+  // Compute an item's perceptual hash, reusing an already decoded sharp pipeline for images
+  async function updatePerceptualHash(item, inputPath, image) {
+    if (item.phash) return;
+    try {
+      item.phash = item.type === 'video'
+        ? await getVideoPerceptualHash(inputPath, stopSignal)
+        : await getImagePerceptualHash(image || await openStillImage(sharp, inputPath));
+    } catch {
+      // Items without a hash are simply left out of similarity grouping
+    }
+  }
+
+  // Process media in batches, largest first (independent of the gallery sort order)
+  const queue = [...media].sort((a, b) => b.size - a.size);
+
+  // Thumbnails are written to a temp file and renamed, so a later run resumes with the missing ones.
+  // Temp files are also removed if the process exits while they are being written.
+  const stopSignal = ctx.signal || new AbortController().signal;
+  const tempFiles = new Set();
+  function removeTempFiles() {
+    for (const tempPath of tempFiles) {
+      fs.rmSync(tempPath, { force: true });
+    }
+  }
+  process.on('exit', removeTempFiles);
+
+  function reportProgress(done = false) {
+    const seconds = (Date.now() - startTime) / 1000;
+    const rate = seconds > 0 ? completed / seconds : 0;
+    ctx.events.emit('progress', {
+      stage: 'thumbnails',
+      completed,
+      total: media.length,
+      skipped,
+      failed,
+      rate,
+      eta: rate > 0 ? (media.length - completed) / rate : null,
+      done,
+      quiet
+    });
+  }
+  reportProgress();
+
+  async function processOne() {
+    while (queue.length > 0 && !stopSignal.aborted) {
+      const item = queue.shift();
+      const thumbPath = getThumbnailPath(ctx, item.path, item.type);
+      const thumbDir = path.dirname(thumbPath);
+      const inputPath = path.join(ctx.inputDir, item.path);
+
+      // Skip if thumbnail (and a video's poster) already exists
+      if (getThumbnailFiles(ctx, item).every(file => fs.existsSync(file))) {
+        failures.delete(item.path);
+        if (item.type !== 'video' || hasFfmpeg) {
+          await updatePerceptualHash(item, inputPath);
+        }
+        skipped++;
+        completed++;
+        continue;
       }
 
-      .gallery {
-        grid-template-columns: repeat(auto-fill, minmax(150px, 1fr));
-        gap: 0.5rem;
-        padding: 1rem;
+      // Skip video thumbnails if ffmpeg not available
+      if (item.type === 'video' && !hasFfmpeg) {
+        skipped++;
+        completed++;
+        continue;
       }
 
-      .shortcuts {
-        display: none;
+      // Create thumbnail directory
+      if (!fs.existsSync(thumbDir)) {
+        fs.mkdirSync(thumbDir, { recursive: true });
+      }
+
+      const tempPath = getTempThumbnailPath(thumbPath);
+      tempFiles.add(tempPath);
+      const posterPath = item.type === 'video' ? getPosterPath(ctx, item.path) : null;
+      const posterTempPath = posterPath && getTempThumbnailPath(posterPath);
+      if (posterTempPath) tempFiles.add(posterTempPath);
+      let stage = 'extract';
+      try {
+        const ext = path.extname(item.path).toLowerCase();
+
+        if (item.type === 'video') {
+          // Use ffmpeg for video thumbnails
+          const videoStart = Date.now();
+          stage = 'probe';
+          const duration = await getVideoDuration(inputPath, stopSignal);
+          // Videos thumbnailed before posters existed only get the missing poster
+          if (!fs.existsSync(thumbPath)) {
+            stage = 'extract';
+            await generateVideoThumbnail(inputPath, tempPath, duration, ctx.config, stopSignal);
+          }
+          if (!fs.existsSync(posterPath)) {
+            // The poster is the first frame of the middle segment of the animated thumbnail
+            const { timestamps } = getVideoSegments(inputPath, duration);
+            stage = 'extract';
+            const frame = await extractVideoFrame(inputPath, timestamps[Math.floor(timestamps.length / 2)], stopSignal);
+            stage = 'encode';
+            await sharp(frame).jpeg({ quality: ctx.config.jpegQuality }).toFile(posterTempPath);
+            fs.renameSync(posterTempPath, posterPath);
+          }
+          videoTime += Date.now() - videoStart;
+          videosGenerated++;
+          await updatePerceptualHash(item, inputPath);
+        } else if (ext === '.gif') {
+          // For animated GIFs, preserve animation using WebP (better compression)
+          await sharp(inputPath, { animated: true })
+            .resize(ctx.config.thumbnailSize, ctx.config.thumbnailSize, { fit: 'cover' })
+            .webp({ quality: ctx.config.webpQuality })
+            .toFile(tempPath)
+            .catch(err => { throw setSharpFailureStage(err); });
+          // Hash the first frame only
+          await updatePerceptualHash(item, inputPath);
+        } else {
+          // The thumbnail and the perceptual hash read the same opened input (each pipeline decodes it)
+          const size = ctx.config.thumbnailSize;
+          await withFfmpegFallback(inputPath, hasFfmpeg, stopSignal, async source => {
+            const image = await openStillImage(sharp, source, { width: size, height: size });
+            const resized = image.clone().rotate().resize(size, size, { fit: 'cover' });
+            const encoded = ext === '.png' || ext === '.svg'
+              ? resized.png({ quality: ctx.config.pngQuality })
+              : resized.jpeg({ quality: ctx.config.jpegQuality });
+            await encoded.toFile(tempPath).catch(err => { throw setSharpFailureStage(err); });
+            await updatePerceptualHash(item, inputPath, image);
+          });
+        }
+
+        stage = 'encode';
+        if (fs.existsSync(tempPath)) {
+          fs.renameSync(tempPath, thumbPath);
+        }
+        failures.delete(item.path);
+        completed++;
+      } catch (err) {
+        fs.rmSync(tempPath, { force: true });
+        if (posterTempPath) fs.rmSync(posterTempPath, { force: true });
+        // Work aborted by a stop request is left for the next run
+        if (!stopSignal.aborted) {
+          // The ffmpeg pass and sharp's toFile tell whether decoding or encoding failed
+          if (err.stage) stage = err.stage;
+          // An image sharp cannot even read the header of failed while probing
+          if (item.type !== 'video' && stage === 'extract') {
+            try {
+              await (await openStillImage(sharp, inputPath)).metadata();
+            } catch {
+              stage = 'probe';
+            }
+          }
+          const entry = createFailureEntry(item, stage, err, failures.get(item.path));
+          failures.set(item.path, entry);
+          ctx.events.emit('failure', entry);
+          failed++;
+          completed++;
+        }
+      } finally {
+        tempFiles.delete(tempPath);
+        tempFiles.delete(posterTempPath);
       }
+
+      reportProgress();
     }
-  </style>
-</head>
-<body>
-  <header class="header">
-    <h1>${options.title}</h1>
-    <div class="header-info">
-      <span id="total-info"></span>
-      <div class="pagination">
-        <button id="prev-btn" onclick="prevPage()">&larr; Prev</button>
-        <span class="page-info" id="page-info"></span>
-        <button id="next-btn" onclick="nextPage()">Next &rarr;</button>
-      </div>
-      <div class="shortcuts">
-        <kbd>&larr;</kbd> <kbd>&rarr;</kbd> navigate
-      </div>
-    </div>
-  </header>
+  }
 
-  <main class="gallery" id="gallery"></main>
+  // Run concurrent workers
+  const workers = [];
+  for (let i = 0; i < ctx.config.concurrency; i++) {
+    workers.push(processOne());
+  }
 
-  <div class="lightbox" id="lightbox">
-    <button class="lightbox-close" onclick="closeLightbox()">&times;</button>
-    <button class="lightbox-nav prev" onclick="lightboxPrev()">&larr;</button>
-    <button class="lightbox-nav next" onclick="lightboxNext()">&rarr;</button>
-    <div class="lightbox-content">
-      <div class="loading-spinner" id="lightbox-spinner"></div>
-      <img id="lightbox-img" src="" alt="">
-      <video id="lightbox-video" controls style="display: none;">
-        Your browser does not support the video tag.
-      </video>
-      <div class="lightbox-info">
-        <div class="path" id="lightbox-path"></div>
-        <div class="position" id="lightbox-position"></div>
-        <div class="size" id="lightbox-size"></div>
-      </div>
-    </div>
-  </div>
+  try {
+    await Promise.all(workers);
+  } finally {
+    process.off('exit', removeTempFiles);
+  }
+  saveThumbnailFailures(ctx, failures);
+  reportProgress(true);
 
-  <script src=".gallery-data/images-data.js"></script>
-  <script>
-    // Base path for media files (relative to gallery.html)
-    const MEDIA_BASE = '${MEDIA_BASE_PATH === '.' ? '' : MEDIA_BASE_PATH + '/'}';
+  const totalTime = ((Date.now() - startTime) / 1000).toFixed(1);
+  const interrupted = stopSignal.aborted;
+  const result = {
+    generated: completed - skipped - failed,
+    skipped,
+    failed,
+    remaining: media.length - completed,
+    interrupted,
+    seconds: Number(totalTime)
+  };
+  const remaining = interrupted ? `, Remaining: ${media.length - completed}` : '';
+  if (quiet) {
+    ctx.log(`Thumbnails: Generated: ${completed - skipped - failed}, Skipped: ${skipped}, Failed: ${failed}${remaining} (${totalTime}s)`);
+    return result;
+  }
+  ctx.log(`\n\nThumbnails ${interrupted ? 'interrupted' : 'complete'}! Generated: ${completed - skipped - failed}, Skipped: ${skipped}, Failed: ${failed}${remaining}`);
+  ctx.log(`Total time: ${totalTime}s`);
+  if (videosGenerated > 0) {
+    ctx.log(`Video thumbnails: ${videosGenerated} in ${(videoTime / 1000).toFixed(1)}s (avg ${(videoTime / videosGenerated / 1000).toFixed(2)}s per video)`);
+  }
+  if (failed > 0) {
+    ctx.log(`Failures are listed in ${path.relative(process.cwd(), ctx.paths.failures)}${ctx.options.verbose ? '' : ' (use --verbose to print them)'}; --retry-failed reruns only those`);
+  }
+  if (interrupted) {
+    ctx.log('Run again to resume: finished thumbnails are kept and only the remaining ones are generated.');
+  }
+  return result;
+}
 
-    // Size presets and layout state
-    const SIZE_PRESETS = { S: 130, M: 200, L: 300 };
-    let sizePreset = 'M';
-    let itemsPerPage = 15;
+/**
+ * Generate the missing lightbox renditions of still images (every page of a multi-page TIFF),
+ * after the thumbnails so the grid is complete first. Emits 'progress' events like generateThumbnails.
+ */
+async function generatePreviews(ctx, media, { quiet = false } = {}) {
+  const items = media.filter(item => getPreviewWidths(item, ctx.config).length > 0);
+  const result = { generated: 0, skipped: 0, failed: 0, remaining: 0, interrupted: false, seconds: 0 };
+  if (items.length === 0) return result;
 
-    // State
-    let currentPage = 0;
-    let currentLightboxIndex = -1;
-    let lightboxActive = false;
-    let cursorIndex = -1;  // -1 = cursor hidden
-    let lastCursorPos = 0;  // Remember position within page
+  let sharp;
+  try {
+    sharp = require('sharp');
+  } catch {
+    // generateThumbnails already reported how to install sharp
+    result.skipped = items.length;
+    return result;
+  }
 
-    // Dynamic total pages
-    function getTotalPages() {
-      return Math.ceil(IMAGES.length / itemsPerPage);
-    }
+  const hasFfmpeg = await checkFfmpegAvailable();
+  if (!quiet) {
+    ctx.log(`\nGenerating lightbox previews (${ctx.config.previewSizes.join('/')}px ${ctx.config.previewFormat})...`);
+  }
 
-    // Format bytes
-    function formatBytes(bytes) {
-      if (bytes === 0) return '0 B';
-      const k = 1024;
-      const sizes = ['B', 'KB', 'MB', 'GB'];
-      const i = Math.floor(Math.log(bytes) / Math.log(k));
-      return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+  const startTime = Date.now();
+  const stopSignal = ctx.signal || new AbortController().signal;
+  const tempFiles = new Set();
+  function removeTempFiles() {
+    for (const tempPath of tempFiles) {
+      fs.rmSync(tempPath, { force: true });
     }
+  }
+  process.on('exit', removeTempFiles);
 
-    // Hash a string to a 16-character hex string (64-bit)
-    function hashPath(str) {
-      let h1 = 5381, h2 = 52711;
-      for (let i = 0; i < str.length; i++) {
-        const c = str.charCodeAt(i);
-        h1 = ((h1 << 5) + h1) ^ c;
-        h2 = ((h2 << 5) + h2) ^ c;
+  let completed = 0;
+  function reportProgress(done = false) {
+    const seconds = (Date.now() - startTime) / 1000;
+    const rate = seconds > 0 ? completed / seconds : 0;
+    ctx.events.emit('progress', {
+      stage: 'previews',
+      completed,
+      total: items.length,
+      skipped: result.skipped,
+      failed: result.failed,
+      rate,
+      eta: rate > 0 ? (items.length - completed) / rate : null,
+      done,
+      quiet
+    });
+  }
+  reportProgress();
+
+  // Largest first, like thumbnails
+  const queue = [...items].sort((a, b) => b.size - a.size);
+
+  async function processOne() {
+    while (queue.length > 0 && !stopSignal.aborted) {
+      const item = queue.shift();
+      const inputPath = path.join(ctx.inputDir, item.path);
+      const missing = [];
+      for (let page = 0; page < (item.pages || 1); page++) {
+        for (const width of getPreviewWidths(item, ctx.config)) {
+          const previewPath = getPreviewPath(ctx, item.path, width, page);
+          if (!fs.existsSync(previewPath)) missing.push({ width, page, previewPath });
+        }
       }
-      return (h1 >>> 0).toString(16).padStart(8, '0') +
-             (h2 >>> 0).toString(16).padStart(8, '0');
+      if (missing.length === 0) {
+        result.skipped++;
+        completed++;
+        continue;
+      }
+
+      try {
+        for (const { width, page, previewPath } of missing) {
+          if (stopSignal.aborted) break;
+          fs.mkdirSync(path.dirname(previewPath), { recursive: true });
+          const tempPath = getTempThumbnailPath(previewPath);
+          tempFiles.add(tempPath);
+          try {
+            await withFfmpegFallback(inputPath, hasFfmpeg && page === 0, stopSignal, async source => {
+              // Upright (EXIF orientation applied); SVGs are rendered at the target width
+              const resized = (await openStillImage(sharp, source, { width, page })).rotate().resize({ width });
+              await (ctx.config.previewFormat === 'jpeg'
+                ? resized.jpeg({ quality: ctx.config.previewQuality, mozjpeg: true })
+                : resized.webp({ quality: ctx.config.previewQuality })
+              ).toFile(tempPath);
+            });
+            fs.renameSync(tempPath, previewPath);
+          } finally {
+            fs.rmSync(tempPath, { force: true });
+            tempFiles.delete(tempPath);
+          }
+        }
+        if (!stopSignal.aborted) {
+          result.generated++;
+          completed++;
+        }
+      } catch (err) {
+        // The lightbox falls back to the original
+        ctx.warn(`Warning: Could not create previews of ${item.path}: ${err.message.split('\n')[0]}`);
+        result.failed++;
+        completed++;
+      }
+
+      reportProgress();
     }
+  }
+
+  const workers = [];
+  for (let i = 0; i < ctx.config.concurrency; i++) {
+    workers.push(processOne());
+  }
+  try {
+    await Promise.all(workers);
+  } finally {
+    process.off('exit', removeTempFiles);
+  }
+  reportProgress(true);
+
+  result.remaining = items.length - completed;
+  result.interrupted = stopSignal.aborted;
+  result.seconds = Number(((Date.now() - startTime) / 1000).toFixed(1));
+  const remaining = result.interrupted ? `, Remaining: ${result.remaining}` : '';
+  const summary = `Generated: ${result.generated}, Skipped: ${result.skipped}, Failed: ${result.failed}${remaining}`;
+  if (quiet) {
+    ctx.log(`Previews: ${summary} (${result.seconds}s)`);
+  } else {
+    ctx.log(`\n\nPreviews ${result.interrupted ? 'interrupted' : 'complete'}! ${summary} (${result.seconds}s)`);
+  }
+  return result;
+}
+
+/**
+ * Transcode the videos browsers can't play (see needsVideoProxy) when videoProxies is set,
+ * one at a time since ffmpeg already uses every core; existing proxies are skipped.
+ * With quiet set (watch mode), only the final summary is logged.
+ */
+async function generateProxies(ctx, media, { quiet = false } = {}) {
+  const result = { generated: 0, skipped: 0, failed: 0, remaining: 0, interrupted: false, seconds: 0 };
+  if (ctx.config.videoProxies === 'off') return result;
+  const items = media.filter(needsVideoProxy);
+  if (items.length === 0) return result;
+
+  if (!await checkFfmpegAvailable()) {
+    ctx.warn('\nWarning: ffmpeg not found, video proxies cannot be generated. Install ffmpeg to play these videos in the lightbox.');
+    result.skipped = items.length;
+    return result;
+  }
+  if (!quiet) {
+    ctx.log(`\nGenerating ${ctx.config.videoProxies === 'vp9' ? 'VP9' : 'H.264'} proxies of ${items.length} videos browsers can't play...`);
+  }
 
-    // Get thumbnail path for a media file (hash-based)
-    function getThumbnailPath(mediaPath, mediaType) {
-      const ext = mediaPath.slice(mediaPath.lastIndexOf('.')).toLowerCase();
-      // Videos and GIFs get animated WebP thumbnails
-      const thumbExt = (mediaType === 'video' || ext === '.gif') ? '.webp' : (ext === '.png' ? '.png' : '.jpg');
-      const hash = hashPath(mediaPath);
-      return '.gallery-data/thumbnails/' + hash[0] + '/' + hash[1] + '/' + hash + thumbExt;
-    }
+  const startTime = Date.now();
+  const stopSignal = ctx.signal || new AbortController().signal;
+  let tempPath = null;
+  function removeTempFile() {
+    if (tempPath) fs.rmSync(tempPath, { force: true });
+  }
+  process.on('exit', removeTempFile);
 
-    // Layout calculation
-    function calculateLayout() {
-      const header = document.querySelector('.header');
-      const headerHeight = header ? header.offsetHeight : 60;
-      const gap = 16;
-      const padding = 32;
-      const viewH = window.innerHeight - headerHeight - padding;
-      const viewW = window.innerWidth - padding;
+  let completed = 0;
+  function reportProgress(done = false) {
+    const seconds = (Date.now() - startTime) / 1000;
+    const rate = seconds > 0 ? completed / seconds : 0;
+    ctx.events.emit('progress', {
+      stage: 'proxies',
+      completed,
+      total: items.length,
+      skipped: result.skipped,
+      failed: result.failed,
+      rate,
+      eta: rate > 0 ? (items.length - completed) / rate : null,
+      done,
+      quiet
+    });
+  }
+  reportProgress();
 
-      const base = SIZE_PRESETS[sizePreset];
-      const cols = Math.max(1, Math.floor((viewW + gap) / (base + gap)));
-      const rows = Math.max(1, Math.floor((viewH + gap) / (base + gap)));
+  try {
+    for (const item of items) {
+      if (stopSignal.aborted) break;
+      const proxyPath = getProxyPath(ctx, item.path);
+      if (fs.existsSync(proxyPath)) {
+        result.skipped++;
+        completed++;
+        continue;
+      }
 
-      return { cols, rows, perPage: cols * rows };
+      fs.mkdirSync(path.dirname(proxyPath), { recursive: true });
+      tempPath = getTempThumbnailPath(proxyPath);
+      try {
+        await generateVideoProxy(path.join(ctx.inputDir, item.path), tempPath, ctx.config.videoProxies, item, stopSignal);
+        fs.renameSync(tempPath, proxyPath);
+        result.generated++;
+        completed++;
+      } catch (err) {
+        // A stopped transcode is left for the next run; otherwise the lightbox falls back to the original
+        if (!stopSignal.aborted) {
+          ctx.warn(`Warning: Could not create a proxy of ${item.path}: ${(err.stderr || err.message).trim().split('\n')[0]}`);
+          result.failed++;
+          completed++;
+        }
+      } finally {
+        removeTempFile();
+        tempPath = null;
+      }
+      reportProgress();
     }
+  } finally {
+    process.off('exit', removeTempFile);
+  }
+  reportProgress(true);
+
+  result.remaining = items.length - completed;
+  result.interrupted = stopSignal.aborted;
+  result.seconds = Number(((Date.now() - startTime) / 1000).toFixed(1));
+  const remaining = result.interrupted ? `, Remaining: ${result.remaining}` : '';
+  const summary = `Generated: ${result.generated}, Skipped: ${result.skipped}, Failed: ${result.failed}${remaining}`;
+  if (quiet) {
+    ctx.log(`Proxies: ${summary} (${result.seconds}s)`);
+  } else {
+    ctx.log(`\n\nProxies ${result.interrupted ? 'interrupted' : 'complete'}! ${summary} (${result.seconds}s)`);
+  }
+  return result;
+}
 
-    function debounce(fn, ms) {
-      let timeout;
-      return (...args) => {
-        clearTimeout(timeout);
-        timeout = setTimeout(() => fn(...args), ms);
-      };
+/**
+ * Place a copy of one original in the export: a hard link or reflink where the filesystem allows
+ * (reflinks fall back to a copy by themselves), keeping the modification time so unchanged files are skipped next time
+ */
+async function exportFile(source, target, method, mtime) {
+  if (method === 'hardlink') {
+    await fs.promises.link(source, target);
+    return;
+  }
+  await fs.promises.copyFile(source, target, method === 'reflink' ? fs.constants.COPYFILE_FICLONE : 0);
+  await fs.promises.utimes(target, new Date(), new Date(mtime));
+}
+
+/**
+ * Directory of the state files (STATE_PATHS) of an --export gallery: below the user's cache directory,
+ * one per output directory
+ */
+function getExportStateDir(outputDir) {
+  const cacheDir = process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache');
+  return path.join(cacheDir, 'generate-gallery', hashPath(outputDir));
+}
+
+/**
+ * Move state files that earlier runs left in .gallery-data/ of an --export output directory to its state directory
+ */
+function moveExportState(ctx) {
+  fs.mkdirSync(ctx.paths.stateDir, { recursive: true });
+  for (const key of STATE_PATHS) {
+    const source = path.join(ctx.paths.dataDir, path.basename(ctx.paths[key]));
+    if (!fs.existsSync(source)) continue;
+    if (!fs.existsSync(ctx.paths[key])) {
+      fs.copyFileSync(source, ctx.paths[key]);
     }
+    fs.rmSync(source, { force: true });
+  }
+}
 
-    function onResize() {
-      const oldPerPage = itemsPerPage;
-      const oldCols = getGridColumns();
-      const oldRows = Math.ceil(oldPerPage / oldCols) || 1;
-      const firstVisibleIndex = currentPage * oldPerPage;
+/**
+ * Paths (relative to media/) of the files earlier exports placed in media/, from exported.json in the state directory
+ */
+function loadExportRecord(ctx) {
+  try {
+    return new Set(JSON.parse(fs.readFileSync(ctx.paths.exportRecord, 'utf8')));
+  } catch {
+    return new Set();
+  }
+}
 
-      const layout = calculateLayout();
-      const newPerPage = layout.perPage;
+/**
+ * Delete a file exported earlier, then its parent directories below media/ that are left empty
+ */
+function removeExportedFile(ctx, relativePath) {
+  fs.rmSync(path.join(ctx.paths.exportDir, relativePath), { force: true });
+  let dir = path.dirname(path.join(ctx.paths.exportDir, relativePath));
+  while (dir !== ctx.paths.exportDir && isSameOrInside(dir, ctx.paths.exportDir)) {
+    try {
+      fs.rmdirSync(dir);
+    } catch {
+      break;  // Not empty
+    }
+    dir = path.dirname(dir);
+  }
+}
 
-      // Proportional cursor repositioning when increasing size (fewer items)
-      if (cursorIndex >= 0 && newPerPage < oldPerPage) {
-        const posInOldPage = cursorIndex % oldPerPage;
-        const oldCol = posInOldPage % oldCols;
-        const oldRow = Math.floor(posInOldPage / oldCols);
+/**
+ * Copy, hard-link or reflink the originals of an --export gallery into media/ of the output directory,
+ * skipping files already there with the same size and modification time, and delete the files earlier
+ * exports placed there that are no longer part of it (recorded in exported.json of the state directory,
+ * so other files in media/ are left alone). Hard links across filesystems fall back to copies.
+ * With quiet set (watch mode), only the final summary is logged.
+ */
+async function exportMedia(ctx, media, { quiet = false } = {}) {
+  const result = { exported: 0, unchanged: 0, removed: 0, failed: 0, bytes: 0, interrupted: false, seconds: 0 };
+  const items = media.filter(item => isOriginalExported(ctx, item));
+  const startTime = Date.now();
+  const stopSignal = ctx.signal || new AbortController().signal;
+  let method = ctx.options.export;
+  if (!quiet) {
+    ctx.log(`\nExporting ${items.length} originals to ${path.relative(process.cwd(), ctx.paths.exportDir) || '.'} (${method})...`);
+  }
 
-        const colRatio = oldCols > 1 ? oldCol / (oldCols - 1) : 0;
-        const rowRatio = oldRows > 1 ? oldRow / (oldRows - 1) : 0;
+  const expected = new Set(items.map(item => item.path));
+  const exported = loadExportRecord(ctx);
+  for (const relativePath of exported) {
+    if (!expected.has(relativePath)) {
+      removeExportedFile(ctx, relativePath);
+      exported.delete(relativePath);
+      result.removed++;
+    }
+  }
 
-        const newCol = Math.min(Math.round(colRatio * (layout.cols - 1)), layout.cols - 1);
-        const newRow = Math.min(Math.round(rowRatio * (layout.rows - 1)), layout.rows - 1);
+  let completed = 0;
+  function reportProgress(done = false) {
+    const seconds = (Date.now() - startTime) / 1000;
+    const rate = seconds > 0 ? completed / seconds : 0;
+    ctx.events.emit('progress', {
+      stage: 'export',
+      completed,
+      total: items.length,
+      skipped: result.unchanged,
+      failed: result.failed,
+      rate,
+      eta: rate > 0 ? (items.length - completed) / rate : null,
+      done,
+      quiet
+    });
+  }
+  reportProgress();
 
-        const newPosInPage = newRow * layout.cols + newCol;
-        const cursorPage = Math.floor(cursorIndex / oldPerPage);
-        cursorIndex = Math.min(cursorPage * newPerPage + newPosInPage, IMAGES.length - 1);
+  for (const item of items) {
+    if (stopSignal.aborted) break;
+    const source = path.join(ctx.inputDir, item.path);
+    const target = path.join(ctx.paths.exportDir, item.path);
+    try {
+      const stats = fs.statSync(target);
+      if (stats.size === item.size && Math.round(stats.mtimeMs) === item.mtime) {
+        exported.add(item.path);
+        result.unchanged++;
+        completed++;
+        continue;
       }
+    } catch {
+      // Not exported yet
+    }
 
-      itemsPerPage = newPerPage;
+    try {
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      await fs.promises.rm(target, { force: true });
+      exported.add(item.path);
+      try {
+        await exportFile(source, target, method, item.mtime);
+      } catch (err) {
+        if (method !== 'hardlink' || (err.code !== 'EXDEV' && err.code !== 'EPERM')) throw err;
+        ctx.warn(`Warning: Could not hard-link ${item.path} (${err.code}), copying the originals instead`);
+        method = 'copy';
+        await exportFile(source, target, method, item.mtime);
+      }
+      result.exported++;
+      result.bytes += item.size;
+    } catch (err) {
+      ctx.warn(`Warning: Could not export ${item.path}: ${err.message}`);
+      result.failed++;
+    }
+    completed++;
+    reportProgress();
+  }
+  reportProgress(true);
+  fs.mkdirSync(ctx.paths.stateDir, { recursive: true });
+  writeFileAtomic(ctx.paths.exportRecord, JSON.stringify([...exported].sort()) + '\n');
+
+  result.interrupted = stopSignal.aborted;
+  result.seconds = Number(((Date.now() - startTime) / 1000).toFixed(1));
+  const remaining = result.interrupted ? `, Remaining: ${items.length - completed}` : '';
+  const summary = `Exported: ${result.exported} (${formatBytes(result.bytes)}), Unchanged: ${result.unchanged}, Removed: ${result.removed}, Failed: ${result.failed}${remaining}`;
+  if (quiet) {
+    ctx.log(`Export: ${summary} (${result.seconds}s)`);
+  } else {
+    ctx.log(`\n\nExport ${result.interrupted ? 'interrupted' : 'complete'}! ${summary} (${result.seconds}s)`);
+  }
+  return result;
+}
 
-      // Recalculate page to keep same items visible
-      currentPage = Math.min(Math.floor(firstVisibleIndex / itemsPerPage), getTotalPages() - 1);
-      if (currentPage < 0) currentPage = 0;
+/**
+ * Scan the input directory: apply the scan rules, detect changed sources and duplicates,
+ * read metadata and sort. Returns the gallery's media in order along with what was found.
+ * With deferMetadata only cached metadata is applied; runMetadata reads the rest later.
+ */
+async function runScan(ctx, { deferMetadata = false } = {}) {
+  if (ctx.options.export) {
+    moveExportState(ctx);
+  }
+  ctx.log('');
+  ctx.log('Searching for media files...');
+  const manifest = loadManifest(ctx);
+  // Recorded listings only contain files with the media extensions of their run
+  const extensions = ctx.mediaExtensions.join(',');
+  const scan = createScanContext(ctx.options.fastRescan && manifest.extensions === extensions ? manifest : null);
+  const found = findMedia(ctx, ctx.inputDir, [], scan);
+  if (scan.reusedDirs > 0) {
+    ctx.log(`Reused the recorded listing of ${scan.reusedDirs} unchanged directories`);
+  }
+  if (scan.skipped.size > 0) {
+    const counts = [...scan.skipped].map(([rule, count]) => `${count} ${rule}`);
+    ctx.log(`Filtered out: ${counts.join(', ')}`);
+  }
 
-      // Update CSS variables
-      document.documentElement.style.setProperty('--cols', layout.cols);
-      document.documentElement.style.setProperty('--rows', layout.rows);
+  // Detect new/changed/removed sources; stale thumbnails are deleted before the manifest is updated
+  const { files, counts: sourceCounts } = await classifySources(ctx, found, manifest);
 
-      renderGallery();
-    }
+  const outdated = invalidateThumbnailSettings(ctx, found);
+  if (outdated > 0) {
+    ctx.log(`Thumbnail settings changed: ${outdated} thumbnails will be regenerated`);
+  }
 
-    // Render the gallery for current page
-    function renderGallery() {
-      const gallery = document.getElementById('gallery');
-      const start = currentPage * itemsPerPage;
-      const end = Math.min(start + itemsPerPage, IMAGES.length);
-      const pageMedia = IMAGES.slice(start, end);
+  const { groups: duplicateGroups, hashed } = await findDuplicates(ctx, found, files);
+  saveManifest(ctx, { version: MANIFEST_VERSION, extensions, files, dirs: scan.dirs });
+  const { media, pairs: rawPairs } = groupRawPairs(applyDuplicateMode(found, duplicateGroups, ctx.options.duplicates));
+  const duplicateCount = duplicateGroups.reduce((sum, group) => sum + group.copies.length, 0);
+  generateDuplicatesReport(ctx, duplicateGroups, ctx.options.duplicates);
 
-      if (IMAGES.length === 0) {
-        gallery.innerHTML = '<div class="no-images"><h2>No media found</h2><p>Run generate-gallery.js in a folder containing images or videos.</p></div>';
-        return;
-      }
+  const imageCount = media.filter(m => m.type === 'image').length;
+  const videoCount = media.filter(m => m.type === 'video').length;
+  ctx.log(`Found ${media.length} files (${imageCount} images, ${videoCount} videos)`);
+  if (hashed > 0) {
+    ctx.log(`Hashed ${hashed} files with matching sizes, found ${duplicateCount} duplicates`);
+  }
+  if (duplicateCount > 0) {
+    const action = { skip: 'Skipped', keep: 'Kept', group: 'Grouped' }[ctx.options.duplicates];
+    ctx.log(`${action} ${duplicateCount} duplicates (identical content), see ${path.relative(process.cwd(), ctx.paths.duplicatesReport)}`);
+  }
+  if (rawPairs > 0) {
+    ctx.log(`Grouped ${rawPairs} RAW files with the JPEG of the same name (RAW+JPEG)`);
+  }
 
-      gallery.innerHTML = pageMedia.map((media, i) => {
-        const globalIndex = start + i;
-        const thumbPath = getThumbnailPath(media.path, media.type);
-        const isVideo = media.type === 'video';
-        // Try thumbnail first, fall back to original on error
-        return \`
-          <div class="thumbnail" onclick="openLightbox(\${globalIndex})">
-            <div class="loading-spinner"></div>
-            <img
-              src="\${encodeURI(thumbPath)}"
-              data-original="\${encodeURI(MEDIA_BASE + media.path)}"
-              data-type="\${media.type}"
-              alt="\${media.path}"
-              class="loading"
-              loading="lazy"
-              onload="this.classList.remove('loading'); this.previousElementSibling.style.display='none';"
-              onerror="if(this.dataset.type !== 'video' && this.src !== this.dataset.original) { this.src = this.dataset.original; } else { this.src='data:image/svg+xml,<svg xmlns=%22http://www.w3.org/2000/svg%22 viewBox=%220 0 100 100%22><text y=%22.9em%22 font-size=%2290%22>❌</text></svg>'; this.classList.remove('loading'); this.previousElementSibling.style.display='none'; }"
-            >
-            \${isVideo ? '<div class="play-indicator">&#9658;</div>' : ''}
-            <span class="index-badge">#\${globalIndex + 1}</span>
-            <span class="size-badge">\${formatBytes(media.size)}</span>
-          </div>
-        \`;
-      }).join('');
+  if (media.length > 0) {
+    const bySize = [...media].sort((a, b) => b.size - a.size);
+    ctx.log(`Largest: ${bySize[0].path} (${formatBytes(bySize[0].size)})`);
+    ctx.log(`Smallest: ${bySize[bySize.length - 1].path} (${formatBytes(bySize[bySize.length - 1].size)})`);
+  }
 
-      // Update page info
-      document.getElementById('page-info').textContent = \`Page \${currentPage + 1} of \${getTotalPages()}\`;
+  const metadataResult = await extractMetadata(ctx, media, { cachedOnly: deferMetadata });
+  logMetadataResult(ctx, metadataResult);
+
+  sortMedia(media, ctx.options.sort, ctx.sortOrder, ctx.sortSeed);
+  ctx.log(`Sorted by ${ctx.options.sort} (${ctx.sortOrder})${ctx.options.sort === 'random' ? `, seed: ${ctx.sortSeed}` : ''}`);
+
+  return {
+    inputDir: ctx.inputDir,
+    outputDir: ctx.outputDir,
+    configPath: ctx.configPath,
+    config: ctx.config,
+    media,
+    found,
+    duplicates: duplicateGroups,
+    rawPairs,
+    skipped: Object.fromEntries(scan.skipped),
+    sources: sourceCounts,
+    outdatedThumbnails: outdated,
+    metadata: metadataResult,
+    sort: { key: ctx.options.sort, order: ctx.sortOrder, seed: ctx.sortSeed }
+  };
+}
 
-      // Show image/video counts
-      const imageCount = IMAGES.filter(m => m.type === 'image').length;
-      const videoCount = IMAGES.filter(m => m.type === 'video').length;
-      const totalText = videoCount > 0 ? \`\${imageCount} images, \${videoCount} videos\` : \`\${IMAGES.length} images\`;
-      document.getElementById('total-info').textContent = totalText;
+/**
+ * Log how many files had their metadata read
+ */
+function logMetadataResult(ctx, { read, failed }) {
+  if (read > 0 || failed > 0) {
+    ctx.log(`Read metadata for ${read} files${failed > 0 ? ` (${failed} unreadable)` : ''}`);
+  }
+}
 
-      // Update button states
-      document.getElementById('prev-btn').disabled = currentPage === 0;
-      document.getElementById('next-btn').disabled = currentPage >= getTotalPages() - 1;
-      updateCursor();
-    }
+/**
+ * Read the metadata runScan deferred, then sort again and rewrite images-data.js
+ * (and gallery.html with singleFile) so a reload shows it
+ */
+async function runMetadata(ctx, media) {
+  ctx.log('');
+  ctx.log('Reading metadata...');
+  const result = await extractMetadata(ctx, media);
+  logMetadataResult(ctx, result);
+  sortMedia(media, ctx.options.sort, ctx.sortOrder, ctx.sortSeed);
+  generateDataFile(ctx, media);
+  if (ctx.options.singleFile) {
+    generateHtmlFile(ctx);
+  }
+  return result;
+}
 
-    // Navigation
-    function nextPage() {
-      if (currentPage < getTotalPages() - 1) {
-        currentPage++;
-        renderGallery();
-        window.scrollTo(0, 0);
-      }
-    }
+/**
+ * Write images-data.js and gallery.html for media in gallery order
+ */
+function runRender(ctx, media) {
+  ctx.log('');
+  generateDataFile(ctx, media);
+  generateHtmlFile(ctx);
+  return {
+    htmlFile: ctx.paths.htmlFile,
+    dataFile: ctx.paths.dataFile,
+    pages: Math.ceil(media.length / IMAGES_PER_PAGE)
+  };
+}
 
-    function prevPage() {
-      if (currentPage > 0) {
-        currentPage--;
-        renderGallery();
-        window.scrollTo(0, 0);
-      }
-    }
+/**
+ * Generate the missing thumbnails (only the failed ones with retryFailed), record failures and
+ * perceptual hashes, group similar items and finally generate the missing lightbox renditions
+ */
+async function runThumbnails(ctx, media) {
+  let thumbnailItems = media;
+  if (ctx.options.retryFailed) {
+    const failures = loadThumbnailFailures(ctx);
+    thumbnailItems = media.filter(item => failures.has(item.path));
+    applyCachedPerceptualHashes(ctx, media);
+    ctx.log(`\nRetrying ${thumbnailItems.length} failed thumbnails`);
+  }
+  const result = await generateThumbnails(ctx, thumbnailItems);
+  savePerceptualHashes(ctx, media);
+  result.failures = generateFailuresDataFile(ctx, media);
+  if (result.failures > 0) {
+    ctx.log(`${result.failures} items have no thumbnail because generating it failed (flagged with ⚠ in the gallery, filter: is:failed)`);
+  }
+  if (result.interrupted) {
+    return result;
+  }
 
-    // Lightbox - always uses original image
-    function openLightbox(index) {
-      if (cursorIndex >= 0) {
-        cursorIndex = index;
-        updateCursor();
-      }
-      currentLightboxIndex = index;
-      lightboxActive = true;
-      updateLightbox();
-      document.getElementById('lightbox').classList.add('active');
-      document.body.style.overflow = 'hidden';
-    }
+  // Group visually similar items using the perceptual hashes computed alongside the thumbnails
+  result.similarGroups = findSimilarGroups(media, ctx.options.similarity);
+  generateSimilarDataFile(ctx, result.similarGroups);
+  if (result.similarGroups.length > 0) {
+    const similarCount = result.similarGroups.reduce((sum, group) => sum + group.length, 0);
+    ctx.log(`Found ${result.similarGroups.length} groups of similar items (${similarCount} items) - press D in the gallery to review them`);
+  }
 
-    function closeLightbox() {
-      lightboxActive = false;
-      document.getElementById('lightbox').classList.remove('active');
-      document.body.style.overflow = '';
+  // Lightbox renditions and video proxies come last: the grid only needs the thumbnails
+  result.previews = await generatePreviews(ctx, thumbnailItems);
+  result.interrupted = result.previews.interrupted;
+  if (!result.interrupted) {
+    result.proxies = await generateProxies(ctx, thumbnailItems);
+    result.interrupted = result.proxies.interrupted;
+  }
+  return result;
+}
 
-      // Stop video playback when closing
-      const video = document.getElementById('lightbox-video');
-      video.pause();
-      video.src = '';
-    }
+/**
+ * Scan, render and generate thumbnails with one context
+ */
+async function runGallery(ctx) {
+  logContext(ctx);
+  // The gallery is written before metadata that isn't cached yet is read, so it can be opened right away
+  const scan = await runScan(ctx, { deferMetadata: true });
+  const render = runRender(ctx, scan.media);
+
+  ctx.log('');
+  ctx.log('Gallery ready! Open gallery.html in your browser.');
+  ctx.log(`Total pages: ${render.pages}`);
+
+  if (scan.metadata.pending > 0) {
+    scan.metadata = await runMetadata(ctx, scan.media);
+  }
 
-    function updateLightbox() {
-      const media = IMAGES[currentLightboxIndex];
-      const lightboxImg = document.getElementById('lightbox-img');
-      const lightboxVideo = document.getElementById('lightbox-video');
-      const spinner = document.getElementById('lightbox-spinner');
-      const isVideo = media.type === 'video';
+  // The originals come first so the exported gallery works while thumbnails are generated
+  const exported = ctx.options.export ? await exportMedia(ctx, scan.media) : null;
+  if (exported && exported.interrupted) {
+    return { ...scan, ...render, export: exported, thumbnails: { interrupted: true } };
+  }
 
-      spinner.style.display = 'block';
+  // Start thumbnail generation (progressive - user can browse immediately)
+  const thumbnails = await runThumbnails(ctx, scan.media);
+  if (ctx.options.singleFile) {
+    generateHtmlFile(ctx);  // Inline the similar groups and failures written meanwhile
+  }
+  if (!thumbnails.interrupted) {
+    const { sources } = scan;
+    ctx.log(`\nSources: ${sources.new} new, ${sources.changed} changed, ${sources.unchanged} unchanged, ${sources.removed} removed`);
+  }
+  return { ...scan, ...render, ...(exported && { export: exported }), thumbnails };
+}
 
-      // Hide both initially
-      lightboxImg.style.display = 'none';
-      lightboxImg.style.opacity = '0';
-      lightboxVideo.style.display = 'none';
-      lightboxVideo.pause();
+/**
+ * Generate a complete gallery: the programmatic equivalent of running the command
+ * options: the command line options in camelCase (input, output, title, sort, thumbnailSize, ...)
+ * plus `events` (an EventEmitter receiving log/warning/progress/failure events) and `signal`
+ * (an AbortSignal that stops thumbnail generation)
+ */
+function generateGallery(options = {}) {
+  return runGallery(createContext(options));
+}
 
-      if (isVideo) {
-        // Show video player
-        lightboxVideo.src = encodeURI(MEDIA_BASE + media.path);
-        lightboxVideo.style.display = 'block';
-        lightboxVideo.play();
-        lightboxVideo.onloadeddata = function() {
-          spinner.style.display = 'none';
-        };
-        lightboxVideo.onerror = function() {
-          spinner.style.display = 'none';
-        };
-      } else {
-        // Show image
-        lightboxImg.style.display = 'block';
-        lightboxImg.onload = function() {
-          spinner.style.display = 'none';
-          lightboxImg.style.opacity = '1';
-        };
-        lightboxImg.src = encodeURI(MEDIA_BASE + media.path);
-      }
+/**
+ * Scan the input directory and return the media of the gallery in order, without writing
+ * gallery.html or thumbnails (the manifest and caches in .gallery-data/ are updated)
+ */
+async function scanMedia(options = {}) {
+  const ctx = createContext(options);
+  logContext(ctx);
+  return runScan(ctx);
+}
 
-      document.getElementById('lightbox-path').textContent = media.path;
-      document.getElementById('lightbox-position').textContent = \`\${isVideo ? 'Video' : 'Image'} \${currentLightboxIndex + 1} of \${IMAGES.length}\`;
-      document.getElementById('lightbox-size').textContent = formatBytes(media.size);
-    }
+/**
+ * Write gallery.html and images-data.js for media returned by scanMedia()
+ * Pass the same seed to both when sorting randomly.
+ */
+function renderHtml(media, options = {}) {
+  return runRender(createContext(options), media);
+}
 
-    function lightboxNext() {
-      if (currentLightboxIndex < IMAGES.length - 1) {
-        currentLightboxIndex++;
-        updateLightbox();
-      }
-    }
+/**
+ * Generate the missing thumbnails of media returned by scanMedia()
+ */
+function buildThumbnails(media, options = {}) {
+  return runThumbnails(createContext(options), media);
+}
 
-    function lightboxPrev() {
-      if (currentLightboxIndex > 0) {
-        currentLightboxIndex--;
-        updateLightbox();
-      }
-    }
+/**
+ * Check whether a path (relative to the input directory) is skipped by findMedia: gallery outputs and data directories
+ */
+function isSkippedPath(relativePath) {
+  const parts = relativePath.split(path.sep);
+  return parts.includes('.gallery-data') || parts[parts.length - 1] === 'gallery.html';
+}
 
-    // Cursor navigation helpers
-    function getGridColumns() {
-      const items = document.querySelectorAll('.thumbnail');
-      if (items.length < 2) return 1;
-      const firstTop = items[0].offsetTop;
-      for (let i = 1; i < items.length; i++) {
-        if (items[i].offsetTop !== firstTop) return i;
-      }
-      return items.length;
+/**
+ * Apply a batch of changed paths (relative to the input directory) to the list of found media
+ * Returns the entries that were added, removed or renamed; a modified file counts as removed + added.
+ */
+function applyInputChanges(ctx, found, changedPaths) {
+  const byPath = new Map(found.map(item => [item.path, item]));
+  const added = [];
+  const removed = [];
+
+  for (const relativePath of changedPaths) {
+    const fullPath = path.join(ctx.inputDir, relativePath);
+    let stats = null;
+    try {
+      stats = ctx.options.followSymlinks ? fs.statSync(fullPath) : fs.lstatSync(fullPath);
+    } catch {
+      // Deleted, or renamed away
     }
-
-    function updateCursor() {
-      document.querySelectorAll('.thumbnail').forEach((el, i) => {
-        el.classList.toggle('cursor', currentPage * itemsPerPage + i === cursorIndex);
-      });
+    if (stats && (stats.isSymbolicLink() || getPathSkipRule(ctx, relativePath, stats.isDirectory()))) {
+      continue;
     }
 
-    function moveCursor(key) {
-      const cols = getGridColumns();
-      const delta = { ArrowRight: 1, ArrowLeft: -1, ArrowDown: cols, ArrowUp: -cols }[key];
-      const next = cursorIndex + delta;
-      if (next >= 0 && next < IMAGES.length) {
-        cursorIndex = next;
-        const targetPage = Math.floor(cursorIndex / itemsPerPage);
-        if (targetPage !== currentPage) {
-          currentPage = targetPage;
-          renderGallery();
-          window.scrollTo(0, 0);
+    if (!stats) {
+      // Drop the file, or everything below a removed directory
+      for (const [itemPath, item] of byPath) {
+        if (itemPath === relativePath || itemPath.startsWith(relativePath + path.sep)) {
+          removed.push(item);
+          byPath.delete(itemPath);
         }
-        updateCursor();
       }
+    } else if (stats.isDirectory()) {
+      for (const item of findMedia(ctx, fullPath)) {
+        if (!byPath.has(item.path)) {
+          added.push(item);
+          byPath.set(item.path, item);
+        }
+      }
+    } else if (stats.isFile() && ctx.mediaExtensions.includes(path.extname(fullPath).toLowerCase())) {
+      const existing = byPath.get(relativePath);
+      const item = createMediaEntry(ctx, fullPath, stats);
+      if (existing && existing.size === item.size && existing.mtime === item.mtime) {
+        continue;
+      }
+      if (existing) {
+        removed.push(existing);
+      }
+      added.push(item);
+      byPath.set(relativePath, item);
     }
+  }
 
-    // Keyboard navigation
-    document.addEventListener('keydown', (e) => {
-      if (lightboxActive) {
-        if (e.key === 'Escape') {
-          closeLightbox();
-        } else if (e.key === 'ArrowRight') {
-          lightboxNext();
-        } else if (e.key === 'ArrowLeft') {
-          lightboxPrev();
-        } else if (e.key === ' ' || e.code === 'Space') {
-          e.preventDefault();
-          const video = document.getElementById('lightbox-video');
-          if (video.style.display !== 'none') {
-            if (video.paused) {
-              video.play();
-            } else {
-              video.pause();
-            }
+  // A removed and an added entry with the same size, mtime and type is a rename
+  const renamed = [];
+  for (const item of added) {
+    const index = removed.findIndex(old =>
+      old.path !== item.path && old.size === item.size && old.mtime === item.mtime && old.type === item.type);
+    if (index >= 0) {
+      renamed.push({ from: removed[index], to: item });
+      removed.splice(index, 1);
+    }
+  }
+
+  return {
+    found: [...byPath.values()],
+    added: added.filter(item => !renamed.some(r => r.to === item)),
+    removed,
+    renamed
+  };
+}
+
+/**
+ * Watch the input directory and incrementally update the gallery
+ * Only thumbnails of affected files are (re)generated; images-data.js is rewritten atomically
+ * so an open gallery.html picks up the changes on reload.
+ * Returns a promise that resolves once ctx.signal is aborted: the watcher is closed at once, and an
+ * update in progress stops after its current stage.
+ */
+function watchInput(ctx, found, media, manifest) {
+  const pending = new Set();
+  const stopSignal = ctx.signal || new AbortController().signal;
+  let timer = null;
+  let running = false;
+
+  async function applyPending() {
+    if (running) return;
+    running = true;
+    const changedPaths = [...pending];
+    pending.clear();
+
+    try {
+      const changes = applyInputChanges(ctx, found, changedPaths);
+      found = changes.found;
+      const changeCount = changes.added.length + changes.removed.length + changes.renamed.length;
+      if (changeCount === 0) return;
+
+      // Renamed files keep their thumbnail, metadata and perceptual hash
+      for (const { from, to } of changes.renamed) {
+        const newFiles = getThumbnailFiles(ctx, to);
+        getThumbnailFiles(ctx, from).forEach((oldFile, i) => {
+          try {
+            fs.mkdirSync(path.dirname(newFiles[i]), { recursive: true });
+            fs.renameSync(oldFile, newFiles[i]);
+          } catch {
+            // No thumbnail yet: it is generated below
           }
+        });
+        const toHash = hashPath(to.path);
+        for (const file of listPreviewFiles(ctx, from.path)) {
+          const name = path.basename(file).replace(hashPath(from.path), toHash);
+          const newFile = path.join(ctx.paths.previewsDir, toHash[0], toHash[1], name);
+          fs.mkdirSync(path.dirname(newFile), { recursive: true });
+          fs.renameSync(file, newFile);
         }
-      } else {
-        if (e.shiftKey && (e.key === 'ArrowLeft' || e.key === 'ArrowRight')) {
-          e.preventDefault();
-          const oldPage = currentPage;
-          e.key === 'ArrowRight' ? nextPage() : prevPage();
-          if (cursorIndex >= 0 && currentPage !== oldPage) {
-            const posInPage = cursorIndex % itemsPerPage;
-            cursorIndex = Math.min(currentPage * itemsPerPage + posInPage, IMAGES.length - 1);
-            updateCursor();
-          }
-        } else if (['ArrowUp','ArrowDown','ArrowLeft','ArrowRight'].includes(e.key)) {
-          e.preventDefault();
-          if (cursorIndex < 0) {
-            cursorIndex = Math.min(currentPage * itemsPerPage + lastCursorPos, IMAGES.length - 1);
-            updateCursor();
-          } else {
-            moveCursor(e.key);
-          }
-        } else if (e.key === 'Escape' && cursorIndex >= 0) {
-          lastCursorPos = cursorIndex % itemsPerPage;
-          cursorIndex = -1;
-          updateCursor();
-        } else if (e.key === 'Enter' && cursorIndex >= 0) {
-          openLightbox(cursorIndex);
-        } else if ('sml'.includes(e.key.toLowerCase())) {
-          sizePreset = e.key.toUpperCase();
-          onResize();
+        for (const file of listProxyFiles(ctx, from.path)) {
+          const newFile = path.join(ctx.paths.proxiesDir, toHash[0], toHash[1], toHash + path.extname(file));
+          fs.mkdirSync(path.dirname(newFile), { recursive: true });
+          fs.renameSync(file, newFile);
         }
+        Object.assign(to, { ...from, path: to.path });
       }
-    });
 
-    // Click outside to close lightbox
-    document.getElementById('lightbox').addEventListener('click', (e) => {
-      if (e.target.id === 'lightbox') {
-        closeLightbox();
+      // Removed (or modified) files lose their thumbnail, renditions and proxy
+      for (const item of changes.removed) {
+        removeThumbnailFiles(ctx, item);
+        removePreviews(ctx, item.path);
+        removeProxies(ctx, item.path);
+      }
+
+      const { files } = await classifySources(ctx, found, manifest);
+      const { groups } = await findDuplicates(ctx, found, files);
+      manifest = { ...manifest, files };
+      saveManifest(ctx, manifest);
+
+      const previous = new Set(media);
+      media = groupRawPairs(applyDuplicateMode(found, groups, ctx.options.duplicates)).media;
+      generateDuplicatesReport(ctx, groups, ctx.options.duplicates);
+      await extractMetadata(ctx, media);
+      sortMedia(media, ctx.options.sort, ctx.sortOrder, ctx.sortSeed);
+
+      const time = new Date().toLocaleTimeString();
+      ctx.log(`\n[${time}] ${changes.added.length} added, ${changes.removed.length} removed, ${changes.renamed.length} renamed -> ${media.length} files`);
+      generateDataFile(ctx, media);
+      if (ctx.options.export && (await exportMedia(ctx, media, { quiet: true })).interrupted) {
+        return;
+      }
+
+      // New files, plus RAW files and copies that are no longer hidden behind a removed JPEG or original
+      const changed = new Set([...changes.added, ...changes.renamed.map(r => r.to)]);
+      const affected = media.filter(item => changed.has(item) || !previous.has(item));
+      const { interrupted } = affected.length > 0
+        ? await generateThumbnails(ctx, affected, { quiet: true })
+        : { interrupted: false };
+      savePerceptualHashes(ctx, media);
+      generateFailuresDataFile(ctx, media);
+      if (interrupted) {
+        return;
+      }
+      generateSimilarDataFile(ctx, findSimilarGroups(media, ctx.options.similarity));
+      if (ctx.options.singleFile) {
+        generateHtmlFile(ctx);
+      }
+      if (affected.length > 0 && (await generatePreviews(ctx, affected, { quiet: true })).interrupted) {
+        return;
+      }
+      if (affected.length > 0) {
+        await generateProxies(ctx, affected, { quiet: true });
       }
+    } catch (err) {
+      ctx.warn(`Warning: Could not apply changes: ${err.message}`);
+    } finally {
+      running = false;
+      if (pending.size > 0 && !stopSignal.aborted) schedule();
+    }
+  }
+
+  function schedule() {
+    clearTimeout(timer);
+    timer = setTimeout(applyPending, WATCH_DEBOUNCE_MS);
+  }
+
+  let watcher;
+  try {
+    watcher = fs.watch(ctx.inputDir, { recursive: true }, (event, filename) => {
+      if (!filename) return;
+      const relativePath = path.normalize(filename.toString());
+      if (isSkippedPath(relativePath)) return;
+      pending.add(relativePath);
+      schedule();
     });
+  } catch (err) {
+    throw new Error(`Could not watch ${ctx.inputDir}: ${err.message}`);
+  }
 
-    // Resize handler
-    window.addEventListener('resize', debounce(onResize, 100));
+  ctx.log(`\nWatching ${ctx.inputDir} for changes (Ctrl-C to stop)...`);
+  return new Promise(resolve => {
+    stopSignal.addEventListener('abort', () => {
+      clearTimeout(timer);
+      watcher.close();
+      resolve();
+    }, { once: true });
+  });
+}
 
-    // Initial layout and render
-    onResize();
-  </script>
-</body>
-</html>
-`;
+/**
+ * Media kind as used by `delete --type` and the viewer's type: filter (GIFs and RAW files are not images here)
+ */
+function getMediaKind(item) {
+  if (item.type === 'video') return 'video';
+  if (isRawImage(item)) return 'raw';
+  return path.extname(item.path).toLowerCase() === '.gif' ? 'gif' : 'image';
+}
 
-  fs.writeFileSync(OUTPUT_HTML_FILE, html);
-  console.log(`Generated ${path.relative(process.cwd(), OUTPUT_HTML_FILE)}`);
+/**
+ * List every file below the thumbnails directory
+ */
+function listThumbnailFiles(dir, files = []) {
+  let entries;
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch {
+    return files;
+  }
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      listThumbnailFiles(fullPath, files);
+    } else {
+      files.push(fullPath);
+    }
+  }
+  return files;
 }
 
 /**
- * Generate thumbnails progressively
+ * Remove now-empty hash directories below the thumbnails directory
  */
-async function generateThumbnails(media) {
-  let sharp;
+function removeEmptyThumbnailDirs(dir) {
+  let entries;
   try {
-    sharp = require('sharp');
-  } catch (err) {
-    console.log('\n  sharp module not found. Install it for thumbnail generation:');
-    console.log('   npm install sharp');
-    console.log('\nGallery will work without thumbnails (using original files).\n');
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch {
     return;
   }
+  for (const entry of entries) {
+    if (entry.isDirectory()) {
+      const subdir = path.join(dir, entry.name);
+      removeEmptyThumbnailDirs(subdir);
+      if (fs.readdirSync(subdir).length === 0) {
+        fs.rmdirSync(subdir);
+      }
+    }
+  }
+}
 
-  // Check for videos and ffmpeg availability
-  const hasVideos = media.some(m => m.type === 'video');
-  const hasFfmpeg = checkFfmpegAvailable();
-  if (hasVideos && !hasFfmpeg) {
-    console.log('\n  ffmpeg not found. Video thumbnails will be skipped.');
-    console.log('Install ffmpeg to enable video thumbnail generation.\n');
+/**
+ * Log a maintenance report: one line per entry, then the total
+ */
+function printReport(ctx, lines, summary) {
+  for (const line of lines) {
+    ctx.log(`  ${line}`);
   }
+  ctx.log(summary);
+}
 
-  console.log(`\nGenerating thumbnails (${THUMBNAIL_SIZE}px, ${CONCURRENT_THUMBNAILS} concurrent)...`);
-  console.log('You can open gallery.html now - it will use originals until thumbnails are ready.\n');
+/**
+ * `clean`: delete thumbnails that don't match getThumbnailPath() or getPosterPath() of any media file in the input directory,
+ * and renditions that don't match getPreviewPath() of a still image in the configured format and widths
+ * (any width for converted images, whose widths depend on their dimensions)
+ */
+async function cleanThumbnails(ctx, { dryRun }) {
+  const media = findMedia(ctx, ctx.inputDir);
+  const expected = new Set(media.flatMap(item => getThumbnailFiles(ctx, item)));
+  const images = new Map(media
+    .filter(item => item.type === 'image' && path.extname(item.path).toLowerCase() !== '.gif')
+    .map(item => [hashPath(item.path), item]));
+  const previewExt = ctx.config.previewFormat === 'jpeg' ? 'jpg' : 'webp';
+  function isExpectedPreview(file) {
+    const match = path.basename(file).match(/^([0-9a-f]{16})-(?:p\d+-)?(\d+)\.(\w+)$/);
+    const item = match && images.get(match[1]);
+    return Boolean(item) && match[3] === previewExt &&
+      (isConvertedImage(item) || ctx.config.previewSizes.includes(Number(match[2])));
+  }
+  // Proxies are kept for every video while they are enabled: telling which ones are needed takes ffprobe
+  const expectedProxies = new Set(ctx.config.videoProxies === 'off' ? [] : media
+    .filter(item => item.type === 'video')
+    .map(item => getProxyPath(ctx, item.path)));
+  const orphans = [
+    ...listThumbnailFiles(ctx.paths.thumbnailsDir).filter(file => !expected.has(file)),
+    ...listThumbnailFiles(ctx.paths.previewsDir).filter(file => !isExpectedPreview(file)),
+    ...listThumbnailFiles(ctx.paths.proxiesDir).filter(file => !expectedProxies.has(file))
+  ];
+
+  let bytes = 0;
+  for (const file of orphans) {
+    bytes += fs.statSync(file).size;
+    if (!dryRun) fs.rmSync(file, { force: true });
+  }
+  if (!dryRun) {
+    removeEmptyThumbnailDirs(ctx.paths.thumbnailsDir);
+    removeEmptyThumbnailDirs(ctx.paths.previewsDir);
+    removeEmptyThumbnailDirs(ctx.paths.proxiesDir);
+  }
 
-  const startTime = Date.now();
-  let completed = 0;
-  let skipped = 0;
-  let failed = 0;
+  printReport(ctx, orphans.map(file => path.relative(ctx.outputDir, file)),
+    `${dryRun ? 'Would delete' : 'Deleted'} ${orphans.length} orphaned thumbnails, previews and proxies (${formatBytes(bytes)}), ${media.length} media files scanned`);
+}
+
+/**
+ * `delete --type`: delete the thumbnails (and video posters) of all videos, GIFs or (still) images
+ */
+async function deleteThumbnails(ctx, { type, dryRun }) {
+  const media = findMedia(ctx, ctx.inputDir).filter(item => getMediaKind(item) === type);
+  const deleted = [];
+  let bytes = 0;
+  let notFound = 0;
+
+  for (const item of media) {
+    const files = getThumbnailFiles(ctx, item).filter(file => fs.existsSync(file));
+    if (files.length === 0) {
+      notFound++;
+      continue;
+    }
+    for (const file of files) {
+      bytes += fs.statSync(file).size;
+      if (!dryRun) fs.rmSync(file, { force: true });
+    }
+    deleted.push(item.path);
+  }
+
+  printReport(ctx, deleted,
+    `${dryRun ? 'Would delete' : 'Deleted'} ${deleted.length} ${type} thumbnails (${formatBytes(bytes)}), ${notFound} had none`);
+}
+
+/**
+ * `verify`: find zero-byte or undecodable thumbnails, delete them and regenerate them
+ */
+async function verifyThumbnails(ctx, { dryRun }) {
+  let sharp;
+  try {
+    sharp = require('sharp');
+  } catch {
+    throw new Error('sharp is required to decode thumbnails (npm install sharp)');
+  }
 
-  // Process media in batches
+  const media = findMedia(ctx, ctx.inputDir);
+  const broken = [];
+  const reasons = [];
+  let checked = 0;
   const queue = [...media];
 
   async function processOne() {
     while (queue.length > 0) {
       const item = queue.shift();
-      const thumbPath = getThumbnailPath(item.path, item.type);
-      const thumbDir = path.dirname(thumbPath);
-
-      // Skip if thumbnail already exists
-      if (fs.existsSync(thumbPath)) {
-        skipped++;
-        completed++;
-        continue;
-      }
-
-      // Skip video thumbnails if ffmpeg not available
-      if (item.type === 'video' && !hasFfmpeg) {
-        skipped++;
-        completed++;
-        continue;
-      }
-
-      // Create thumbnail directory
-      if (!fs.existsSync(thumbDir)) {
-        fs.mkdirSync(thumbDir, { recursive: true });
-      }
-
-      try {
-        const inputPath = path.join(INPUT_DIR, item.path);
-        const ext = path.extname(item.path).toLowerCase();
+      for (const file of getThumbnailFiles(ctx, item)) {
+        let stats;
+        try {
+          stats = fs.statSync(file);
+        } catch {
+          continue;  // Not generated yet: the next run creates it anyway
+        }
 
-        if (item.type === 'video') {
-          // Use ffmpeg for video thumbnails
-          await generateVideoThumbnail(inputPath, thumbPath);
-        } else if (ext === '.gif') {
-          // For animated GIFs, preserve animation using WebP (better compression)
-          await sharp(inputPath, { animated: true })
-            .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'cover' })
-            .webp({ quality: 75 })
-            .toFile(thumbPath);
-        } else if (ext === '.png') {
-          await sharp(inputPath)
-            .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'cover' })
-            .png({ quality: 80 })
-            .toFile(thumbPath);
+        checked++;
+        let reason = null;
+        if (stats.size === 0) {
+          reason = 'empty';
         } else {
-          await sharp(inputPath)
-            .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'cover' })
-            .jpeg({ quality: 80 })
-            .toFile(thumbPath);
+          try {
+            await sharp(file, { animated: true }).stats();
+          } catch (err) {
+            reason = `undecodable: ${err.message.split('\n')[0]}`;
+          }
+        }
+        if (reason) {
+          broken.push(item);
+          reasons.push(`${item.path}${file.endsWith('-poster.jpg') ? ' poster' : ''} (${reason})`);
+          break;  // The item's thumbnail files are regenerated together
         }
-
-        completed++;
-      } catch (err) {
-        failed++;
-        completed++;
-        // Don't spam errors, just count them
-      }
-
-      // Progress update every 10 items or at the end
-      if (completed % 10 === 0 || completed === media.length) {
-        const percent = ((completed / media.length) * 100).toFixed(1);
-        const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
-        const rate = (completed / (Date.now() - startTime) * 1000).toFixed(1);
-        const eta = completed > 0 ? (((media.length - completed) / rate)).toFixed(0) : '?';
-        process.stdout.write(`\rProgress: ${completed}/${media.length} (${percent}%) | ${rate}/s | ETA: ${eta}s | Skipped: ${skipped} | Failed: ${failed}   `);
       }
     }
   }
 
-  // Run concurrent workers
   const workers = [];
-  for (let i = 0; i < CONCURRENT_THUMBNAILS; i++) {
+  for (let i = 0; i < ctx.config.concurrency; i++) {
     workers.push(processOne());
   }
-
   await Promise.all(workers);
 
-  const totalTime = ((Date.now() - startTime) / 1000).toFixed(1);
-  console.log(`\n\nThumbnails complete! Generated: ${completed - skipped - failed}, Skipped: ${skipped}, Failed: ${failed}`);
-  console.log(`Total time: ${totalTime}s`);
-}
+  printReport(ctx, reasons, `Checked ${checked} thumbnails, ${broken.length} broken`);
+  if (dryRun || broken.length === 0) return;
 
-// Main execution
-async function main() {
-  console.log('');
-  console.log('Searching for media files...');
-  const media = findMedia(INPUT_DIR);
+  for (const item of broken) {
+    removeThumbnailFiles(ctx, item);
+  }
+  ctx.log('Regenerating broken thumbnails...');
+  await generateThumbnails(ctx, broken, { quiet: true });
+}
 
-  const imageCount = media.filter(m => m.type === 'image').length;
-  const videoCount = media.filter(m => m.type === 'video').length;
-  console.log(`Found ${media.length} files (${imageCount} images, ${videoCount} videos)`);
-  if (duplicatesSkipped > 0) {
-    console.log(`Skipped ${duplicatesSkipped} duplicates (same file size)`);
+/**
+ * Build the command line parser; onSubcommand is called with the name and options of a maintenance subcommand
+ */
+function createProgram(onSubcommand) {
+  const program = new Command();
+  program
+    .name('generate-gallery')
+    .description('Generate a static HTML gallery from images and videos')
+    .option('-i, --input <dir>', 'Source directory to scan for media', process.cwd())
+    .option('-o, --output <dir>', 'Output directory for gallery files (defaults to input directory)')
+    .option('-t, --title <text>', 'Gallery title', DEFAULT_OPTIONS.title)
+    .addOption(new Option('-d, --duplicates <mode>', 'How to handle files with identical content')
+      .choices(OPTION_CHOICES.duplicates)
+      .default(DEFAULT_OPTIONS.duplicates))
+    .option('--similarity <bits>', 'Max Hamming distance between perceptual hashes to group items as similar', parseHammingDistance, DEFAULT_OPTIONS.similarity)
+    .addOption(new Option('--sort <key>', 'Gallery order')
+      .choices(OPTION_CHOICES.sort)
+      .default(DEFAULT_OPTIONS.sort))
+    .addOption(new Option('--order <direction>', 'Sort direction (default: desc for size, mtime and taken, asc otherwise)')
+      .choices(OPTION_CHOICES.order))
+    .option('--seed <text>', 'Seed for --sort random (default: a new seed each run)')
+    .option('-w, --watch', 'Keep running and update the gallery as media is added, removed or renamed')
+    .option('--include <globs...>', 'Only include media files matching one of these globs')
+    .option('--exclude <globs...>', 'Skip files and directories matching one of these globs')
+    .option('--max-depth <n>', 'Directory levels to descend below the input directory (0 = input directory only)', parseIntegerBetween(0, 1000))
+    .option('--follow-symlinks', 'Follow symbolic links to files and directories (loops are detected)')
+    .option('--hidden', 'Include dotfiles and dot-directories (skipped by default)')
+    .option('--fast-rescan', 'Reuse the recorded listing of directories whose mtime is unchanged instead of reading them again')
+    .option('--retry-failed', 'Only (re)generate thumbnails of items listed in .gallery-data/failures.json')
+    .addOption(new Option('--export <method>', 'Put the originals in media/ of the output directory so it can be deployed on its own')
+      .choices(OPTION_CHOICES.export))
+    .option('--web-only', 'With --export, leave out originals the viewer replaces with renditions or proxies')
+    .option('--single-file', 'Inline images-data.js and the other data scripts into gallery.html')
+    .option('-v, --verbose', 'Print thumbnail errors as they happen')
+    .option('-c, --config <file>', 'Config file (default: gallery.config.json or .js in the input, then the output directory)')
+    .action(() => {});
+
+  for (const setting of Object.values(CONFIG_SETTINGS)) {
+    const defaultValue = Array.isArray(setting.default) ? setting.default.join(',')
+      : typeof setting.default === 'object' ? Object.values(setting.default).join(',')
+        : setting.default;
+    program.option(setting.flag, `${setting.description} (default: ${defaultValue})`, setting.parse);
   }
 
-  // Sort by size (descending) - largest first for thumbnail generation priority
-  media.sort((a, b) => b.size - a.size);
+  // Maintenance subcommands (they share -i/-o with the main command and run instead of it)
+  program.command('clean')
+    .description('Delete thumbnails that no longer belong to any media file')
+    .option('-n, --dry-run', 'Only report what would be deleted')
+    .action(commandOptions => onSubcommand('clean', commandOptions));
+
+  program.command('delete')
+    .description('Delete the thumbnails of one kind of media (to regenerate them with new settings)')
+    .addOption(new Option('--type <kind>', 'Kind of media')
+      .choices(['video', 'gif', 'image', 'raw'])
+      .makeOptionMandatory())
+    .option('-n, --dry-run', 'Only report what would be deleted')
+    .action(commandOptions => onSubcommand('delete', commandOptions));
+
+  program.command('verify')
+    .description('Find empty or undecodable thumbnails and regenerate them')
+    .option('-n, --dry-run', 'Only report broken thumbnails')
+    .action(commandOptions => onSubcommand('verify', commandOptions));
+
+  return program;
+}
 
-  if (media.length > 0) {
-    console.log(`Largest: ${media[0].path} (${formatBytes(media[0].size)})`);
-    console.log(`Smallest: ${media[media.length - 1].path} (${formatBytes(media[media.length - 1].size)})`);
-  }
+const subcommands = { clean: cleanThumbnails, delete: deleteThumbnails, verify: verifyThumbnails };
 
-  console.log('');
-  generateDataFile(media);
-  generateHtmlFile();
+/**
+ * Command line entry point: prints the events of the run and handles Ctrl-C
+ * SIGINT/SIGTERM while thumbnails, previews, proxies or the export are generated stop starting new items and
+ * cancel running ffmpeg/ffprobe calls (other items in progress finish); a second signal
+ * (or one at any other time) quits at once.
+ */
+async function runCli(argv = process.argv) {
+  let subcommand = null;
+  const program = createProgram((name, commandOptions) => { subcommand = { name, options: commandOptions }; });
+  program.parse(argv);
+  const options = program.opts();
+
+  const events = new EventEmitter();
+  let generating = null;  // Stage whose progress is being reported: export, thumbnails, previews or proxies
+  events.on('log', message => console.log(message));
+  events.on('warning', message => console.warn(message));
+  events.on('failure', entry => {
+    if (!options.verbose) return;
+    process.stdout.write(`\nFailed (${entry.stage}): ${entry.path}: ${entry.message}\n`);
+    if (entry.stderr !== entry.message) {
+      console.log(entry.stderr.replace(/^/gm, '    '));
+    }
+  });
+  events.on('progress', progress => {
+    generating = progress.done ? null : progress.stage;
+    // Progress update every 10 items or at the end
+    const { completed, total } = progress;
+    if (progress.done || progress.quiet || completed === 0 || (completed % 10 !== 0 && completed !== total)) return;
+    const percent = ((completed / total) * 100).toFixed(1);
+    const eta = progress.eta === null ? '?' : progress.eta.toFixed(0);
+    const label = { previews: 'Previews', proxies: 'Proxies', export: 'Export' }[progress.stage] || 'Progress';
+    process.stdout.write(`\r${label}: ${completed}/${total} (${percent}%) | ${progress.rate.toFixed(1)}/s | ETA: ${eta}s | Skipped: ${progress.skipped} | Failed: ${progress.failed}   `);
+  });
+
+  const stopController = new AbortController();
+  function onSignal(signal) {
+    if (!generating || stopController.signal.aborted) {
+      if (generating) console.log('\nStopped.');
+      process.exit(130);
+    }
+    console.log(`\n\n${signal} received: stopping ${generating}, cancelling running ffmpeg/ffprobe calls (press Ctrl-C again to quit now)...`);
+    stopController.abort();
+  }
+  process.on('SIGINT', onSignal);
+  process.on('SIGTERM', onSignal);
 
-  console.log('');
-  console.log('Gallery ready! Open gallery.html in your browser.');
-  console.log(`Total pages: ${Math.ceil(media.length / IMAGES_PER_PAGE)}`);
+  const ctx = createContext({ ...options, events, signal: stopController.signal });
+  if (subcommand) {
+    logContext(ctx);
+    await subcommands[subcommand.name](ctx, subcommand.options);
+    return;
+  }
 
-  // Start thumbnail generation (progressive - user can browse immediately)
-  await generateThumbnails(media);
+  const result = await runGallery(ctx);
+  if (result.thumbnails.interrupted) {
+    process.exitCode = 130;
+    return;
+  }
+  if (options.watch) {
+    await watchInput(ctx, result.found, result.media, loadManifest(ctx));
+    process.exitCode = 130;
+  }
 }
 
-main().catch(err => {
-  console.error('Error:', err.message);
-  process.exit(1);
-});
+module.exports = { generateGallery, scanMedia, renderHtml, buildThumbnails, CONFIG_SETTINGS, DEFAULT_OPTIONS };
+
+if (require.main === module) {
+  runCli().catch(err => {
+    console.error('Error:', err.message);
+    process.exit(1);
+  });
+}